@@ -16,7 +16,19 @@ module.exports = {
 
       // Restart policy - very aggressive for 7-day reliability
       watch: false, // Don't watch files in production to avoid accidental restarts
-      ignore_watch: ["node_modules", "logs", "*.log", "timer-state.json"],
+      ignore_watch: [
+        "node_modules",
+        "logs",
+        "*.log",
+        "timer-state.json",
+        "timer-state.json.tmp",
+        "state-backups",
+        "event-ledger.jsonl",
+        "settings-history.jsonl",
+        "subathon.db*",
+        "auth-tokens.json",
+        "webhooks.json",
+      ],
 
       // Auto-restart settings
       restart_delay: 5000, // Wait 5 seconds before restart
@@ -1,12 +1,26 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { timerManager } from "./src/timer.js";
-import { webSocketManager } from "./src/websocket.js";
+import { webSocketManager, MESSAGE_TOPICS } from "./src/websocket.js";
+import { sseManager } from "./src/sse.js";
 import { twitchManager } from "./src/twitch.js";
+import { eventLedger } from "./src/events.js";
+import { authManager, requireRole } from "./src/auth.js";
+import { multiplierScheduler } from "./src/multipliers.js";
+import { goalManager } from "./src/goals.js";
+import { presetManager } from "./src/presets.js";
+import { webhookManager } from "./src/webhooks.js";
+import { alertQueue } from "./src/alerts.js";
+import { broadcastLog } from "./src/broadcastLog.js";
+import { settingsHistory } from "./src/settingsHistory.js";
+import { leaderboardManager } from "./src/leaderboard.js";
+import { stateStore } from "./src/persistence.js";
+import { storage } from "./src/storage.js";
+import { planRestore, restoreManager } from "./src/restore.js";
+import { defaultSettings, validateSettings } from "./src/types.js";
 import routes from "./src/routes.js";
 
 // Load environment variables
@@ -27,12 +41,23 @@ const log = (level, module, message, data = null) => {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const STATE_FILE = path.join(__dirname, "timer-state.json");
+const STATE_BACKUP_DIR = path.join(__dirname, "state-backups");
+const EVENT_LEDGER_FILE = path.join(__dirname, "event-ledger.jsonl");
+const SETTINGS_HISTORY_FILE = path.join(__dirname, "settings-history.jsonl");
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(__dirname, "subathon.db");
+const AUTH_TOKENS_FILE = path.join(__dirname, "auth-tokens.json");
+const WEBHOOKS_FILE = path.join(__dirname, "webhooks.json");
 
 const saveTimerState = async () => {
   try {
     const state = timerManager.getState();
     const stateToSave = {
       ...state,
+      twitchDedup: twitchManager.getDedupState(),
+      multiplierSchedule: multiplierScheduler.getPersistedState(),
+      goals: goalManager.getPersistedState(),
+      settingsPresets: presetManager.getPersistedState(),
+      alertQueue: alertQueue.getPersistedState(),
       lastSaved: Date.now(),
     };
 
@@ -41,7 +66,7 @@ const saveTimerState = async () => {
       settings: stateToSave.settings,
     });
 
-    await fs.writeFile(STATE_FILE, JSON.stringify(stateToSave));
+    await storage.saveState(stateToSave);
 
     log("info", "Persistence", "Timer state saved successfully");
   } catch (error) {
@@ -49,107 +74,166 @@ const saveTimerState = async () => {
   }
 };
 
+// Saved settings go through the settings schema: numeric strings from older versions are
+// coerced, settings that didn't exist yet or no longer pass get their defaults, and keys
+// that are no longer settings are dropped
+const restoreSettings = (saved) => {
+  const { values, errors } = validateSettings(saved || {});
+  if (Object.keys(errors).length > 0) {
+    log("warn", "Recovery", "Dropped saved settings that failed validation", errors);
+  }
+  return { ...defaultSettings, ...values };
+};
+
+// The timer, its settings and the Twitch dedup ids; shared by startup and snapshot restore.
+// At startup the restore policy decides whether a running timer picks back up; a restored
+// snapshot always comes back paused at the time it was taken
+const applyTimerState = (state, { resume = true } = {}) => {
+  const downtimeMs = Math.max(0, Date.now() - state.lastSaved);
+
+  // Restore processed Twitch message ids so a replayed sub isn't counted twice
+  twitchManager.restoreDedupState(state.twitchDedup);
+
+  // Older state files only carry whole seconds and have no bank
+  const savedRemainingMs =
+    (Number.isFinite(state.remainingMs) ? state.remainingMs : state.timeRemaining * 1000) +
+    (Number.isFinite(state.bankedMs) ? state.bankedMs : 0);
+  const savedElapsedMs = Number.isFinite(state.elapsedMs) ? state.elapsedMs : 0;
+
+  timerManager.timerState.settings = restoreSettings(state.settings);
+  const plan = resume
+    ? planRestore(state, timerManager.timerState.settings, downtimeMs)
+    : { policy: null, resume: false, deduct: false, reason: "Restored from a snapshot" };
+
+  // The saved deadline accounts for downtime exactly
+  let remainingMs = savedRemainingMs;
+  if (plan.deduct) {
+    remainingMs = Number.isFinite(state.endsAt)
+      ? state.endsAt - Date.now()
+      : savedRemainingMs - downtimeMs;
+  }
+  timerManager.setRemainingMs(remainingMs);
+  // Deducted downtime is time the timer was running
+  timerManager.setElapsedMs(savedElapsedMs + (plan.deduct ? downtimeMs : 0));
+
+  if (plan.resume && timerManager.getRemainingMs() > 0) {
+    timerManager.start();
+    log("info", "Recovery", `Timer state restored: ${timerManager.getTimeRemaining()}s remaining`);
+  } else {
+    log(
+      "info",
+      "Recovery",
+      `Timer state restored: ${timerManager.getTimeRemaining()}s remaining (inactive)`
+    );
+  }
+
+  return {
+    ...plan,
+    downtimeMs,
+    savedRemainingMs,
+    deductedMs: savedRemainingMs - timerManager.getTotalRemainingMs(),
+  };
+};
+
 const loadTimerState = async () => {
+  const { restorePolicy, restoreThresholdSeconds } = timerManager.getSettings();
   try {
     log("debug", "Persistence", "Loading timer state from file");
-    const data = await fs.readFile(STATE_FILE, "utf8");
-    const state = JSON.parse(data);
-    const timeSinceLastSave = Date.now() - state.lastSaved;
+    const state = await storage.loadState();
+    if (!state) {
+      log("warn", "Recovery", "No usable saved state or snapshot, starting fresh");
+      restoreManager.setReport({
+        source: null,
+        policy: restorePolicy,
+        thresholdSeconds: restoreThresholdSeconds,
+        wasActive: false,
+        resumed: false,
+        timeRemaining: timerManager.getTimeRemaining(),
+        reason: "No usable saved state or snapshot, started fresh",
+      });
+      return;
+    }
 
-    log("debug", "Persistence", "Loaded state from file", {
+    log("debug", "Persistence", `Loaded state from ${storage.lastLoadSource}`, {
       timeRemaining: state.timeRemaining,
       settings: state.settings,
-      timeSinceLastSave,
+      timeSinceLastSave: Date.now() - state.lastSaved,
     });
 
-    // If timer was active and less than 5 minutes have passed, restore it
-    if (state.isActive && timeSinceLastSave < 5 * 60 * 1000) {
-      const secondsElapsed = Math.floor(timeSinceLastSave / 1000);
-      const adjustedTime = Math.max(0, state.timeRemaining - secondsElapsed);
-
-      timerManager.timerState.timeRemaining = adjustedTime;
-      // Coerce any numeric-like strings back to numbers to avoid reapplying defaults later
-      const s = state.settings || {};
-      const toNum = (v) => (typeof v === "string" ? Number(v) : v);
-      const restoredSettings = {
-        ...s,
-        regularSubTime: Number.isFinite(toNum(s.regularSubTime))
-          ? toNum(s.regularSubTime)
-          : s.regularSubTime,
-        tier2SubTime: Number.isFinite(toNum(s.tier2SubTime))
-          ? toNum(s.tier2SubTime)
-          : s.tier2SubTime,
-        tier3SubTime: Number.isFinite(toNum(s.tier3SubTime))
-          ? toNum(s.tier3SubTime)
-          : s.tier3SubTime,
-        primeSubTime: Number.isFinite(toNum(s.primeSubTime))
-          ? toNum(s.primeSubTime)
-          : s.primeSubTime,
-        giftSubTime: Number.isFinite(toNum(s.giftSubTime)) ? toNum(s.giftSubTime) : s.giftSubTime,
-        timerSize: Number.isFinite(toNum(s.timerSize)) ? toNum(s.timerSize) : s.timerSize,
-        timerShadowBlur: Number.isFinite(toNum(s.timerShadowBlur))
-          ? toNum(s.timerShadowBlur)
-          : s.timerShadowBlur,
-        timerShadowOpacity: Number.isFinite(toNum(s.timerShadowOpacity))
-          ? toNum(s.timerShadowOpacity)
-          : s.timerShadowOpacity,
-        timerShadowX: Number.isFinite(toNum(s.timerShadowX))
-          ? toNum(s.timerShadowX)
-          : s.timerShadowX,
-        timerShadowY: Number.isFinite(toNum(s.timerShadowY))
-          ? toNum(s.timerShadowY)
-          : s.timerShadowY,
-      };
-      timerManager.timerState.settings = restoredSettings;
-
-      if (adjustedTime > 0) {
-        timerManager.start();
-        log("info", "Recovery", `Timer state restored: ${adjustedTime}s remaining`);
-      }
-    } else {
-      // Just restore the time and settings, don't auto-start
-      timerManager.timerState.timeRemaining = state.timeRemaining;
-      const s2 = state.settings || {};
-      const toNum2 = (v) => (typeof v === "string" ? Number(v) : v);
-      const restoredSettings2 = {
-        ...s2,
-        regularSubTime: Number.isFinite(toNum2(s2.regularSubTime))
-          ? toNum2(s2.regularSubTime)
-          : s2.regularSubTime,
-        tier2SubTime: Number.isFinite(toNum2(s2.tier2SubTime))
-          ? toNum2(s2.tier2SubTime)
-          : s2.tier2SubTime,
-        tier3SubTime: Number.isFinite(toNum2(s2.tier3SubTime))
-          ? toNum2(s2.tier3SubTime)
-          : s2.tier3SubTime,
-        primeSubTime: Number.isFinite(toNum2(s2.primeSubTime))
-          ? toNum2(s2.primeSubTime)
-          : s2.primeSubTime,
-        giftSubTime: Number.isFinite(toNum2(s2.giftSubTime))
-          ? toNum2(s2.giftSubTime)
-          : s2.giftSubTime,
-        timerSize: Number.isFinite(toNum2(s2.timerSize)) ? toNum2(s2.timerSize) : s2.timerSize,
-        timerShadowBlur: Number.isFinite(toNum2(s2.timerShadowBlur))
-          ? toNum2(s2.timerShadowBlur)
-          : s2.timerShadowBlur,
-        timerShadowOpacity: Number.isFinite(toNum2(s2.timerShadowOpacity))
-          ? toNum2(s2.timerShadowOpacity)
-          : s2.timerShadowOpacity,
-        timerShadowX: Number.isFinite(toNum2(s2.timerShadowX))
-          ? toNum2(s2.timerShadowX)
-          : s2.timerShadowX,
-        timerShadowY: Number.isFinite(toNum2(s2.timerShadowY))
-          ? toNum2(s2.timerShadowY)
-          : s2.timerShadowY,
-      };
-      timerManager.timerState.settings = restoredSettings2;
-      log("info", "Recovery", `Timer state restored: ${state.timeRemaining}s remaining (inactive)`);
-    }
+    // None of these are part of the timer's history, so a snapshot restore leaves them alone
+    // and only startup picks them back up
+    multiplierScheduler.restoreState(state.multiplierSchedule);
+    presetManager.restoreState(state.settingsPresets);
+    webhookManager.importLegacyState(state.webhooks);
+    alertQueue.restoreState(state.alertQueue);
+
+    const result = applyTimerState(state);
+
+    // Goals recount their progress from the ledger and elapsed time, so restore them last
+    goalManager.restoreState(state.goals);
+    const settings = timerManager.getSettings();
+    restoreManager.setReport({
+      source: storage.lastLoadSource,
+      policy: result.policy,
+      thresholdSeconds: settings.restoreThresholdSeconds,
+      savedAt: state.lastSaved,
+      downtimeMs: result.downtimeMs,
+      wasActive: !!state.isActive,
+      resumed: timerManager.timerState.isActive,
+      savedTimeRemaining: Math.ceil(result.savedRemainingMs / 1000),
+      timeRemaining: timerManager.getTimeRemaining(),
+      deductedMs: result.deductedMs,
+      reason: result.reason,
+    });
 
     log("debug", "Persistence", "Timer state loaded successfully");
   } catch (error) {
-    log("warn", "Recovery", "Could not restore timer state, starting fresh");
+    log("warn", "Recovery", "Could not restore timer state, starting fresh", error.message);
+    restoreManager.setReport({
+      source: null,
+      policy: restorePolicy,
+      thresholdSeconds: restoreThresholdSeconds,
+      wasActive: false,
+      resumed: false,
+      timeRemaining: timerManager.getTimeRemaining(),
+      reason: `Could not restore saved state (${error.message}), started fresh`,
+    });
+  }
+};
+
+// Applied by the snapshot restore route. Settings history lives outside the snapshot, so a
+// restore that changes settings is recorded as a new version
+const restoreTimerSnapshot = async (state, { actor = null } = {}) => {
+  const previousSettings = timerManager.getSettings();
+  timerManager.stop();
+  applyTimerState(state, { resume: false });
+
+  const settings = timerManager.getSettings();
+  const changes = {};
+  for (const key of new Set([...Object.keys(previousSettings), ...Object.keys(settings)])) {
+    if (previousSettings[key] !== settings[key]) {
+      changes[key] = { from: previousSettings[key], to: settings[key] };
+    }
+  }
+  if (Object.keys(changes).length > 0) {
+    settingsHistory.record({
+      changes,
+      previousSettings,
+      settings,
+      actor,
+      source: "snapshot_restore",
+    });
   }
+  await saveTimerState();
+
+  broadcast({
+    type: "state_restored",
+    timeRemaining: timerManager.getTimeRemaining(),
+    isActive: false,
+    settings: timerManager.getSettings(),
+  });
+  timerManager.broadcastSync();
+  goalManager.broadcastGoals();
 };
 
 // Graceful error handling - DO NOT EXIT PROCESS
@@ -225,6 +309,9 @@ const corsOptions = {
   optionsSuccessStatus: 200, // For legacy browser support
 };
 
+// API tokens for protected routes
+authManager.setFilePath(AUTH_TOKENS_FILE);
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
@@ -239,6 +326,7 @@ app.get("/health", (req, res) => {
     const timerHealth = timerManager.isHealthy();
     const twitchStats = twitchManager.getStats();
     const wsStats = webSocketManager.getStats();
+    const sseStats = sseManager.getStats();
 
     const health = {
       status: timerHealth.healthy && twitchStats.isConnected ? "healthy" : "degraded",
@@ -250,7 +338,19 @@ app.get("/health", (req, res) => {
         health: timerHealth,
       },
       websocket: wsStats,
+      sse: sseStats,
+      clients: {
+        websocket: wsStats.totalClients,
+        sse: sseStats.totalClients,
+        total: wsStats.totalClients + sseStats.totalClients,
+      },
       twitch: twitchStats,
+      events: eventLedger.getStats(),
+      goals: goalManager.getStats(),
+      webhooks: webhookManager.getStats(),
+      alertQueue: alertQueue.getStats(),
+      storage: storage.getStats(),
+      auth: authManager.getStats(),
       alerts: [],
     };
 
@@ -293,7 +393,7 @@ app.get("/health", (req, res) => {
 });
 
 // Recovery endpoint for manual recovery
-app.post("/recover", (req, res) => {
+app.post("/recover", requireRole("moderator"), (req, res) => {
   try {
     log("info", "Manual recovery triggered");
     const results = {
@@ -330,43 +430,171 @@ const server = app.listen(PORT, async () => {
   log("info", "Server", `Admin panel available at http://localhost:${PORT}/admin`);
   log("info", "Server", `Health check available at http://localhost:${PORT}/health`);
 
+  // Load API tokens and webhooks
+  await authManager.load();
+  await webhookManager.load();
+
+  // Storage comes first: state and the event ledger are both read through it
+  const storagePaths = {
+    stateFile: STATE_FILE,
+    backupDir: STATE_BACKUP_DIR,
+    ledgerFile: EVENT_LEDGER_FILE,
+    settingsHistoryFile: SETTINGS_HISTORY_FILE,
+    databaseFile: DATABASE_FILE,
+  };
+  try {
+    await storage.init({ backend: process.env.STORAGE_BACKEND || "json", ...storagePaths });
+  } catch (error) {
+    // Keep the timer running on the JSON files rather than not at all
+    log("error", "Storage", "Storage backend failed to start, using JSON files", error.message);
+    await storage.init({ backend: "json", ...storagePaths });
+  }
+
+  // Load the event ledger and settings history before anything can record into them
+  await eventLedger.load();
+  await settingsHistory.load();
+
   // Load persisted timer state
   await loadTimerState();
+
+  // Start watching the multiplier schedule (a no-op if the restore already did)
+  multiplierScheduler.check();
+  // Only changes after startup are pushed; new clients get the boards when they connect
+  leaderboardManager.prime();
+  // Alerts still queued from before the restart
+  alertQueue.start();
+
+  // Only once the ledger and dedup ids are loaded, so nothing from chat lands before them
+  connectTwitchWithRetry();
 });
 
 // Initialize WebSocket server
 webSocketManager.init(server);
 
 // Set up broadcast callbacks to connect all modules
+// Every broadcast is numbered once and goes to both live transports, then to webhooks
 const broadcast = (data) => {
+  const message = broadcastLog.record(data);
   try {
-    webSocketManager.broadcast(data);
+    webSocketManager.broadcast(message);
   } catch (error) {
     log("error", "WebSocket", "Broadcast failed", error.message);
   }
+
+  try {
+    sseManager.broadcast(message);
+  } catch (error) {
+    log("error", "SSE", "Broadcast failed", error.message);
+  }
+
+  try {
+    alertQueue.handleBroadcast(data);
+  } catch (error) {
+    log("error", "Alerts", "Failed to queue alert", error.message);
+  }
+
+  // Webhook subscribers get the same messages the overlay does
+  try {
+    webhookManager.handleBroadcast(data);
+  } catch (error) {
+    log("error", "Webhooks", "Failed to queue webhook deliveries", error.message);
+  }
 };
 
 timerManager.setBroadcastCallback(broadcast);
+timerManager.setTickCallback((data) => {
+  webSocketManager.sendToProtocol("tick", data);
+  sseManager.sendToProtocol("tick", data);
+});
+stateStore.setRestoreCallback(restoreTimerSnapshot);
 timerManager.setSaveStateCallback(saveTimerState);
+timerManager.setEventLogCallback((event) => {
+  const entry = eventLedger.record(event);
+  goalManager.handleEvent(entry);
+  leaderboardManager.handleEvent(entry);
+  return entry;
+});
 twitchManager.setBroadcastCallback(broadcast);
-
-// Send current timer snapshot to any newly connected WebSocket client
-webSocketManager.setOnClientConnected((ws) => {
-  try {
+multiplierScheduler.setBroadcastCallback(broadcast);
+multiplierScheduler.setSaveStateCallback(saveTimerState);
+goalManager.setBroadcastCallback(broadcast);
+goalManager.setSaveStateCallback(saveTimerState);
+leaderboardManager.setBroadcastCallback(broadcast);
+restoreManager.setBroadcastCallback(broadcast);
+presetManager.setBroadcastCallback(broadcast);
+presetManager.setSaveStateCallback(saveTimerState);
+webhookManager.setFilePath(WEBHOOKS_FILE);
+alertQueue.setBroadcastCallback(broadcast);
+alertQueue.setSaveStateCallback(saveTimerState);
+timerManager.setSettingsChangeCallback((change) => settingsHistory.record(change));
+settingsHistory.setBroadcastCallback(broadcast);
+
+// What a newly connected client needs to draw the current state, in its protocol's format
+const getSnapshotMessages = (protocolMode) => {
+  const messages = [];
+  if (protocolMode === "sync") {
+    messages.push(timerManager.getSyncPayload());
+  } else {
     const state = timerManager.getState();
-    webSocketManager.sendToClient(ws, {
+    messages.push({
       type: "timer_update",
       timeRemaining: state.timeRemaining,
+      bankedSeconds: state.bankedSeconds,
       isActive: state.isActive,
     });
+  }
+
+  // Style-only sources have no other way to pick up the current look
+  messages.push({ type: "timer_style_update", style: timerManager.getStyle() });
+  messages.push({ type: "timer_size_update", size: timerManager.getSettings().timerSize });
+
+  // Running multipliers, so a reconnecting overlay can show its banner straight away
+  messages.push({ type: "multiplier_status", active: multiplierScheduler.getActiveWindows() });
+
+  messages.push({ type: "goal_update", goals: goalManager.getGoals() });
+  messages.push(alertQueue.getStatusMessage());
+  messages.push(leaderboardManager.getSnapshot());
+
+  // Keep nagging until someone confirms or overrides what happened at startup
+  if (restoreManager.isPending()) {
+    messages.push(restoreManager.getMessage());
+  }
+  return messages;
+};
+
+// Send current timer snapshot to any newly connected WebSocket client, limited to its topics
+// (or just the topics it has newly subscribed to)
+webSocketManager.setOnClientConnected((ws, topics = null) => {
+  try {
+    for (const message of getSnapshotMessages(ws.protocolMode)) {
+      const topic = MESSAGE_TOPICS[message.type];
+      if (topics ? topics.includes(topic) : webSocketManager.isSubscribed(ws, message)) {
+        webSocketManager.sendToClient(ws, message);
+      }
+    }
   } catch (error) {
     log("warn", "WebSocket", "Failed to send initial timer state", error.message);
   }
 });
+sseManager.setSnapshotProvider(getSnapshotMessages);
 
 // Auto-save timer state every 30 seconds
 setInterval(saveTimerState, 30000);
 
+// Periodic resync so sync-protocol clients correct any local clock drift. Nothing changed, so
+// tick clients, webhooks and the replay buffer don't need it
+setInterval(() => {
+  const payload = timerManager.getSyncPayload();
+  webSocketManager.sendToProtocol("sync", payload);
+  sseManager.sendToProtocol("sync", payload);
+}, 15000);
+
+// Elapsed-time milestones have no event to trigger them
+setInterval(() => goalManager.checkElapsed(), 5000);
+
+// Rolling leaderboards change as old events age out, and size/window settings may have changed
+setInterval(() => leaderboardManager.checkForChanges(), 30000);
+
 // Connect to Twitch with enhanced error handling and retry logic
 const connectTwitchWithRetry = async (retryCount = 0) => {
   const maxRetries = 10;
@@ -393,9 +621,6 @@ const connectTwitchWithRetry = async (retryCount = 0) => {
   }
 };
 
-// Start initial connection
-connectTwitchWithRetry();
-
 // System health monitoring and automatic recovery
 const performHealthCheck = () => {
   const memUsage = process.memoryUsage();
@@ -456,7 +681,14 @@ const gracefulShutdown = async (signal) => {
   log("info", "Shutdown", `Received ${signal}, starting graceful shutdown...`);
 
   try {
-    // Save timer state before shutdown
+    // Close Twitch connection first so no new events come in
+    await twitchManager.disconnect();
+    log("info", "Shutdown", "Twitch connection closed");
+
+    multiplierScheduler.cleanup();
+    await webhookManager.cleanup();
+
+    // Save timer state while it still shows whether the timer was running
     await saveTimerState();
     log("info", "Shutdown", "Timer state saved");
 
@@ -464,14 +696,20 @@ const gracefulShutdown = async (signal) => {
     timerManager.cleanup();
     log("info", "Shutdown", "Timer cleaned up");
 
-    // Close Twitch connection
-    await twitchManager.disconnect();
-    log("info", "Shutdown", "Twitch connection closed");
+    // The state save above already covers the queue
+    alertQueue.cleanup();
 
     // Shutdown WebSocket server
     webSocketManager.shutdown();
     log("info", "Shutdown", "WebSocket server closed");
 
+    sseManager.shutdown();
+
+    // Last, once nothing is left to record: make sure queued ledger lines reach the disk,
+    // then close the database if there is one
+    await storage.close();
+    log("info", "Shutdown", "Storage closed");
+
     // Close server
     server.close(() => {
       log("info", "Shutdown", "Server closed gracefully");
@@ -0,0 +1,268 @@
+import crypto from "crypto";
+
+// Broadcasts that become on-screen alerts. Higher priority jumps the queue; equal priorities
+// play in arrival order
+export const ALERT_TYPES = {
+  gift_bomb: { priority: 3, durationMs: 10000 },
+  raid: { priority: 2, durationMs: 8000 },
+  milestone_reached: { priority: 2, durationMs: 8000 },
+  subscription: { priority: 1, durationMs: 6000 },
+  cheer: { priority: 1, durationMs: 6000 },
+};
+
+class AlertQueue {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.paused = false;
+    // Shown alerts, newest last, so one can be replayed
+    this.history = [];
+    this.maxHistory = 50;
+    this.maxQueue = 200;
+    // How long past its display duration an alert may go unacknowledged before moving on
+    this.ackGraceMs = 5000;
+    this.timeout = null;
+    // Alerts arrive in bursts (a gift bomb, a raid), so queue changes share one delayed save
+    this.saveDelayMs = 2000;
+    this.saveTimeout = null;
+    this.broadcastCallback = null;
+    this.saveStateCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Alerts] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  setSaveStateCallback(callback) {
+    this.saveStateCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  saveState() {
+    if (!this.saveStateCallback || this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      try {
+        const result = this.saveStateCallback();
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => this.log("warn", "Failed to save alert queue", error.message));
+        }
+      } catch (error) {
+        this.log("warn", "Failed to save alert queue", error.message);
+      }
+    }, this.saveDelayMs);
+    this.saveTimeout.unref();
+  }
+
+  // Called with every broadcast; the original message still goes out as before
+  handleBroadcast(data) {
+    if (!data || !ALERT_TYPES[data.type]) return;
+    this.enqueue(data);
+  }
+
+  enqueue(data) {
+    const defaults = ALERT_TYPES[data.type];
+    const alert = {
+      id: crypto.randomUUID(),
+      type: data.type,
+      priority: defaults.priority,
+      durationMs: defaults.durationMs,
+      data,
+      createdAt: Date.now(),
+      shownAt: null,
+      replayOf: null,
+    };
+    this.insert(alert);
+    return alert;
+  }
+
+  insert(alert) {
+    // After the last alert of the same or higher priority
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].priority < alert.priority) {
+      index--;
+    }
+    this.queue.splice(index, 0, alert);
+
+    if (this.queue.length > this.maxQueue) {
+      const [dropped] = this.queue.splice(this.queue.length - 1, 1);
+      this.log("warn", `Alert queue full, dropped ${dropped.type} alert ${dropped.id}`);
+    }
+
+    this.saveState();
+    this.advance();
+  }
+
+  // Shows the next alert if nothing is on screen and the queue isn't paused
+  advance() {
+    if (this.current || this.paused) {
+      this.broadcastStatus();
+      return;
+    }
+
+    const next = this.queue.shift();
+    if (!next) {
+      this.broadcastStatus();
+      return;
+    }
+
+    next.shownAt = Date.now();
+    this.current = next;
+    this.broadcast({ type: "alert_show", alert: next });
+    this.broadcastStatus();
+
+    this.timeout = setTimeout(() => {
+      this.log("warn", `Alert ${next.id} was not acknowledged, moving on`);
+      this.finish(next.id);
+    }, next.durationMs + this.ackGraceMs);
+    this.saveState();
+  }
+
+  // The first overlay to ack ends the alert; acks for anything else are ignored
+  acknowledge(alertId) {
+    if (!this.current || this.current.id !== alertId) return false;
+    this.finish(alertId);
+    return true;
+  }
+
+  finish(alertId) {
+    if (!this.current || this.current.id !== alertId) return;
+
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    this.history.push(this.current);
+    if (this.history.length > this.maxHistory) {
+      this.history.splice(0, this.history.length - this.maxHistory);
+    }
+    this.broadcast({ type: "alert_done", alertId });
+    this.current = null;
+    this.advance();
+  }
+
+  skip() {
+    if (!this.current) return null;
+    const skipped = this.current;
+    this.log("info", `Skipping alert ${skipped.id}`);
+    this.finish(skipped.id);
+    return skipped;
+  }
+
+  // Queues a copy of an alert that was already shown (or is showing now)
+  replay(alertId) {
+    const original =
+      this.history.find((alert) => alert.id === alertId) ||
+      (this.current && this.current.id === alertId ? this.current : null);
+    if (!original) return null;
+
+    const alert = {
+      ...original,
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      shownAt: null,
+      replayOf: original.id,
+    };
+    this.log("info", `Replaying alert ${original.id} as ${alert.id}`);
+    this.insert(alert);
+    return alert;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.log("info", paused ? "Alert queue paused" : "Alert queue resumed");
+    this.saveState();
+    this.advance();
+  }
+
+  // Empties the queue; the alert on screen plays out
+  clear() {
+    const cleared = this.queue.length;
+    this.queue = [];
+    this.log("info", `Cleared ${cleared} queued alert(s)`);
+    this.saveState();
+    this.broadcastStatus();
+    return cleared;
+  }
+
+  getStatus() {
+    return {
+      paused: this.paused,
+      current: this.current,
+      queued: this.queue,
+      history: [...this.history].reverse(),
+    };
+  }
+
+  getStatusMessage() {
+    return {
+      type: "alert_queue",
+      paused: this.paused,
+      current: this.current,
+      queued: this.queue.length,
+    };
+  }
+
+  broadcastStatus() {
+    this.broadcast(this.getStatusMessage());
+  }
+
+  getStats() {
+    return {
+      paused: this.paused,
+      showing: this.current ? this.current.id : null,
+      queued: this.queue.length,
+      shown: this.history.length,
+    };
+  }
+
+  // Shutdown saves the full state itself, so a pending save is dropped
+  cleanup() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+  }
+
+  getPersistedState() {
+    // An alert that was on screen goes back to the front so it is shown again in full
+    const queue = this.current ? [{ ...this.current, shownAt: null }, ...this.queue] : this.queue;
+    return { paused: this.paused, queue, history: this.history };
+  }
+
+  restoreState(saved) {
+    if (!saved || typeof saved !== "object") return;
+
+    const valid = (alert) =>
+      alert && typeof alert.id === "string" && ALERT_TYPES[alert.type] && alert.data;
+    this.paused = saved.paused === true;
+    this.queue = Array.isArray(saved.queue) ? saved.queue.filter(valid) : [];
+    this.history = Array.isArray(saved.history) ? saved.history.filter(valid) : [];
+    this.log(
+      "info",
+      `Restored ${this.queue.length} queued alert(s)${this.paused ? " (paused)" : ""}`
+    );
+  }
+
+  // Starts showing restored alerts once clients can receive them
+  start() {
+    this.advance();
+  }
+}
+
+export const alertQueue = new AlertQueue();
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+
+// Higher levels include everything the lower levels may do
+export const ROLE_LEVELS = {
+  overlay: 1,
+  moderator: 2,
+  streamer: 3,
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+class AuthManager {
+  constructor() {
+    this.filePath = null;
+    // Only token hashes are kept; the raw token is shown once when it is created
+    this.tokens = new Map();
+    this.failedAttempts = 0;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Auth] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setFilePath(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    if (this.filePath) {
+      try {
+        const data = await fs.readFile(this.filePath, "utf8");
+        const saved = JSON.parse(data);
+        for (const token of saved.tokens || []) {
+          this.tokens.set(token.hash, token);
+        }
+        this.log("info", `Loaded ${this.tokens.size} API token(s)`);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          this.log("error", "Failed to load API tokens", error.message);
+        }
+      }
+    }
+
+    if (!process.env.ADMIN_TOKEN && this.tokens.size === 0) {
+      this.log(
+        "warn",
+        "No API tokens configured - protected routes will reject every request until ADMIN_TOKEN is set"
+      );
+    }
+  }
+
+  async save() {
+    if (!this.filePath) return;
+    try {
+      await fs.writeFile(
+        this.filePath,
+        JSON.stringify({ tokens: Array.from(this.tokens.values()) }, null, 2)
+      );
+    } catch (error) {
+      this.log("error", "Failed to save API tokens", error.message);
+    }
+  }
+
+  // The ADMIN_TOKEN environment variable is always a streamer token, so there is a way in
+  // before any tokens have been created
+  authenticate(rawToken) {
+    if (typeof rawToken !== "string" || !rawToken) return null;
+
+    const hash = hashToken(rawToken);
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (
+      adminToken &&
+      crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashToken(adminToken), "hex"))
+    ) {
+      return { id: "admin", name: "ADMIN_TOKEN", role: "streamer" };
+    }
+
+    const token = this.tokens.get(hash);
+    if (!token) return null;
+
+    token.lastUsedAt = Date.now();
+    return { id: token.id, name: token.name, role: token.role };
+  }
+
+  hasRole(identity, role) {
+    return !!identity && ROLE_LEVELS[identity.role] >= ROLE_LEVELS[role];
+  }
+
+  recordFailure(reason, ip, context) {
+    this.failedAttempts++;
+    this.log("warn", `Rejected ${context} from ${ip}: ${reason}`);
+  }
+
+  createToken(name, role) {
+    if (!ROLE_LEVELS[role]) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Token name is required");
+    }
+
+    const rawToken = `pt_${crypto.randomBytes(24).toString("hex")}`;
+    const token = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      role,
+      hash: hashToken(rawToken),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+    };
+
+    this.tokens.set(token.hash, token);
+    this.save();
+    this.log("info", `Created ${role} token "${token.name}" (${token.id})`);
+
+    return { ...this.describe(token), token: rawToken };
+  }
+
+  revokeToken(id) {
+    for (const [hash, token] of this.tokens) {
+      if (token.id === id) {
+        this.tokens.delete(hash);
+        this.save();
+        this.log("info", `Revoked ${token.role} token "${token.name}" (${token.id})`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  describe(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      role: token.role,
+      createdAt: token.createdAt,
+      lastUsedAt: token.lastUsedAt,
+    };
+  }
+
+  listTokens() {
+    return Array.from(this.tokens.values()).map((token) => this.describe(token));
+  }
+
+  getStats() {
+    return {
+      tokenCount: this.tokens.size,
+      adminTokenConfigured: !!process.env.ADMIN_TOKEN,
+      failedAttempts: this.failedAttempts,
+    };
+  }
+}
+
+export const authManager = new AuthManager();
+
+// Accepts "Authorization: Bearer <token>" or an "X-API-Token" header
+const getRequestToken = (req) => {
+  const header = req.get("authorization");
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return req.get("x-api-token") || null;
+};
+
+export const requireRole = (role) => (req, res, next) => {
+  const context = `${req.method} ${req.originalUrl}`;
+  const rawToken = getRequestToken(req);
+
+  if (!rawToken) {
+    authManager.recordFailure("missing token", req.ip, context);
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+
+  const identity = authManager.authenticate(rawToken);
+  if (!identity) {
+    authManager.recordFailure("invalid token", req.ip, context);
+    return res.status(401).json({ success: false, message: "Invalid token" });
+  }
+
+  if (!authManager.hasRole(identity, role)) {
+    authManager.recordFailure(
+      `role ${identity.role} (${identity.name}) below ${role}`,
+      req.ip,
+      context
+    );
+    return res.status(403).json({ success: false, message: `Requires ${role} role` });
+  }
+
+  req.auth = identity;
+  next();
+};
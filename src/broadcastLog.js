@@ -0,0 +1,56 @@
+// Numbers every broadcast once, for the WebSocket and SSE alike, and keeps recent ones so a
+// client that reconnects on either transport can be sent what it missed
+class BroadcastLog {
+  constructor() {
+    // The epoch tells a reconnecting client whether its last sequence number came from this
+    // server run
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+    this.maxBuffer = 500;
+    this.evictedThrough = 0;
+    // Replaying a missed alert would show it late (and ack it twice), so resumed clients get
+    // the current alert_queue status instead
+    this.unbufferedTypes = new Set(["alert_show", "alert_done", "alert_queue"]);
+  }
+
+  // Returns the message as it should be sent, with its sequence number
+  record(data) {
+    if (!data) return data;
+
+    this.sequence++;
+    const message = { ...data, seq: this.sequence };
+    if (this.unbufferedTypes.has(data.type)) return message;
+
+    this.buffer.push(message);
+    if (this.buffer.length > this.maxBuffer) {
+      const evicted = this.buffer.splice(0, this.buffer.length - this.maxBuffer);
+      this.evictedThrough = evicted[evicted.length - 1].seq;
+    }
+    return message;
+  }
+
+  // Everything buffered after lastSeq, or the reason the gap can't be filled from the buffer
+  getMissed(epoch, lastSeq) {
+    if (epoch !== this.epoch) {
+      return { reason: "Server restarted" };
+    }
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.sequence) {
+      return { reason: "Unknown sequence number" };
+    }
+    if (lastSeq < this.evictedThrough) {
+      return { reason: "Gap too large" };
+    }
+    return { messages: this.buffer.filter((message) => message.seq > lastSeq) };
+  }
+
+  getStats() {
+    return {
+      epoch: this.epoch,
+      sequence: this.sequence,
+      bufferSize: this.buffer.length,
+    };
+  }
+}
+
+export const broadcastLog = new BroadcastLog();
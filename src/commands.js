@@ -0,0 +1,82 @@
+import { authManager } from "./auth.js";
+import { timerManager } from "./timer.js";
+import { validateSettings } from "./types.js";
+
+// Thrown for a command that was understood but can't be carried out as asked
+class CommandError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.details = details;
+  }
+}
+
+const toNumber = (value) => (typeof value === "string" ? Number(value) : value);
+
+// Admin commands accepted over the WebSocket. Roles match the equivalent HTTP routes
+export const ADMIN_COMMANDS = {
+  start: {
+    role: "moderator",
+    run: () => {
+      timerManager.start();
+      return { message: "Timer started" };
+    },
+  },
+  stop: {
+    role: "moderator",
+    run: () => {
+      timerManager.stop();
+      return { message: "Timer stopped" };
+    },
+  },
+  reset: {
+    role: "streamer",
+    run: (params) => {
+      const time = params.time === undefined ? 3600 : toNumber(params.time);
+      if (!Number.isFinite(time) || time < 0) {
+        throw new CommandError("Invalid time value");
+      }
+      timerManager.reset(time);
+      return { message: "Timer reset" };
+    },
+  },
+  add_time: {
+    role: "moderator",
+    run: (params) => {
+      const seconds = toNumber(params.seconds);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new CommandError("Invalid seconds value");
+      }
+      const event = timerManager.addTime(seconds);
+      return {
+        message: `Added ${event?.seconds ?? seconds} seconds`,
+        eventId: event?.id ?? null,
+      };
+    },
+  },
+  update_settings: {
+    role: "streamer",
+    run: (params, actor) => {
+      const { values, errors } = validateSettings(params.settings);
+      if (Object.keys(errors).length > 0) {
+        throw new CommandError("Invalid settings", { errors });
+      }
+      const settings = timerManager.updateSettings(values, { actor, source: "websocket" });
+      return { message: "Settings updated", settings };
+    },
+  },
+};
+
+// Returns the result to ack with; throws with a message (and maybe details) to send back
+export const runAdminCommand = (command, params, actor) => {
+  if (!actor) {
+    throw new CommandError("Authentication required");
+  }
+  const definition = ADMIN_COMMANDS[command];
+  if (!definition) {
+    throw new CommandError(`Unknown command: ${command}`);
+  }
+  if (!authManager.hasRole(actor, definition.role)) {
+    throw new CommandError(`Requires ${definition.role} role`);
+  }
+  return definition.run(params || {}, actor);
+};
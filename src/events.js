@@ -0,0 +1,102 @@
+import { storage } from "./storage.js";
+
+class EventLedger {
+  constructor() {
+    this.events = [];
+    this.nextId = 1;
+    this.maxPageSize = 500;
+    this.defaultPageSize = 50;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Events] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  // The storage backend has to be initialized first
+  async load() {
+    this.events = await storage.loadEvents();
+    for (const entry of this.events) {
+      if (entry.id >= this.nextId) {
+        this.nextId = entry.id + 1;
+      }
+    }
+    this.log("info", `Loaded ${this.events.length} events from ledger`);
+  }
+
+  record(event) {
+    const entry = {
+      id: this.nextId++,
+      timestamp: Date.now(),
+      type: event.type,
+      source: event.source || "manual",
+      username: event.username || null,
+      tier: event.tier || null,
+      seconds: event.seconds,
+      previousTime: event.previousTime,
+      timeRemaining: event.timeRemaining,
+      details: event.details || null,
+    };
+
+    this.events.push(entry);
+    storage.appendEvent(entry);
+    return entry;
+  }
+
+  getEvent(id) {
+    const numericId = Number(id);
+    return this.events.find((event) => event.id === numericId) || null;
+  }
+
+  findReversal(id) {
+    const numericId = Number(id);
+    return (
+      this.events.find(
+        (event) => event.type === "time_reversed" && event.details?.reversedEventId === numericId
+      ) || null
+    );
+  }
+
+  query(filters = {}) {
+    const { source, type, tier } = filters;
+    const username = filters.username ? String(filters.username).toLowerCase() : null;
+    const since = filters.since ?? null;
+    const until = filters.until ?? null;
+    const limit = Math.min(filters.limit ?? this.defaultPageSize, this.maxPageSize);
+    const offset = filters.offset ?? 0;
+
+    const matches = this.events.filter((event) => {
+      if (source && event.source !== source) return false;
+      if (type && event.type !== type) return false;
+      if (tier && event.tier !== tier) return false;
+      if (username && (event.username || "").toLowerCase() !== username) return false;
+      if (since !== null && event.timestamp < since) return false;
+      if (until !== null && event.timestamp > until) return false;
+      return true;
+    });
+
+    // Newest first, which is what anyone settling a dispute wants to see
+    matches.reverse();
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      events: matches.slice(offset, offset + limit),
+    };
+  }
+
+  getStats() {
+    const last = this.events[this.events.length - 1];
+    return {
+      totalEvents: this.events.length,
+      lastEventId: last ? last.id : null,
+      lastEventTime: last ? last.timestamp : null,
+    };
+  }
+}
+
+export const eventLedger = new EventLedger();
@@ -0,0 +1,342 @@
+import crypto from "crypto";
+import { eventLedger } from "./events.js";
+import { timerManager } from "./timer.js";
+
+// What a goal can count. Event metrics come from the ledger, elapsed time from the timer
+export const GOAL_METRICS = {
+  subs: "Subs",
+  gifts: "Gifted subs",
+  bits: "Bits",
+  time_added_seconds: "Time added",
+  elapsed_seconds: "Time elapsed",
+};
+
+const SUB_TYPES = ["subscription", "resub", "gift"];
+
+class GoalManager {
+  constructor() {
+    this.goals = [];
+    // Progress is derived from the ledger, so only definitions and reached milestones persist
+    this.progress = new Map();
+    this.broadcastCallback = null;
+    this.saveStateCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Goals] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  setSaveStateCallback(callback) {
+    this.saveStateCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  saveState() {
+    if (!this.saveStateCallback) return;
+    try {
+      const result = this.saveStateCallback();
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => this.log("warn", "Failed to save goals", error.message));
+      }
+    } catch (error) {
+      this.log("warn", "Failed to save goals", error.message);
+    }
+  }
+
+  // Milestones may be given as plain targets or { target, label } objects
+  validateGoal(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    if (!GOAL_METRICS[merged.metric]) {
+      throw new Error(`metric must be one of: ${Object.keys(GOAL_METRICS).join(", ")}`);
+    }
+    if (!Array.isArray(merged.milestones) || merged.milestones.length === 0) {
+      throw new Error("milestones must be a non-empty array");
+    }
+
+    const previous = new Map((existing.milestones || []).map((m) => [m.target, m]));
+    const milestones = [];
+    for (const raw of merged.milestones) {
+      const milestone = typeof raw === "object" && raw !== null ? raw : { target: raw };
+      const target =
+        typeof milestone.target === "string" ? Number(milestone.target) : milestone.target;
+      if (!Number.isFinite(target) || target <= 0) {
+        throw new Error("Every milestone needs a positive target");
+      }
+      if (milestones.some((m) => m.target === target)) {
+        throw new Error(`Duplicate milestone target: ${target}`);
+      }
+      milestones.push({
+        target,
+        label:
+          typeof milestone.label === "string" && milestone.label.trim()
+            ? milestone.label.trim()
+            : null,
+        // Editing a ladder keeps milestones that were already reached from firing again
+        reachedAt: previous.get(target)?.reachedAt ?? null,
+      });
+    }
+    milestones.sort((a, b) => a.target - b.target);
+
+    return {
+      label:
+        typeof merged.label === "string" && merged.label.trim()
+          ? merged.label.trim()
+          : GOAL_METRICS[merged.metric],
+      metric: merged.metric,
+      milestones,
+      since: Number.isFinite(merged.since) ? merged.since : null,
+      elapsedBaseline: Number.isFinite(merged.elapsedBaseline) ? merged.elapsedBaseline : 0,
+    };
+  }
+
+  // How much a ledger entry moves a metric; reversals take their original event back out
+  measure(metric, entry) {
+    if (entry.type === "time_reversed") {
+      if (metric === "time_added_seconds") return entry.seconds;
+      const original = eventLedger.getEvent(entry.details?.reversedEventId);
+      return original ? -this.measure(metric, original) : 0;
+    }
+    if (entry.type !== "time_added") return 0;
+
+    const details = entry.details || {};
+    switch (metric) {
+      case "time_added_seconds":
+        return entry.seconds;
+      // Only real Twitch events are subs: not manual additions, even when someone types in a
+      // sub's worth of time, and not dev simulations
+      case "subs":
+        return entry.source === "twitch" && SUB_TYPES.includes(details.subType)
+          ? details.subCount || 1
+          : 0;
+      case "gifts":
+        return entry.source === "twitch" && details.subType === "gift" ? details.subCount || 1 : 0;
+      case "bits":
+        return entry.source === "twitch" && details.subType === "cheer" ? details.bits || 0 : 0;
+      default:
+        return 0;
+    }
+  }
+
+  calculateProgress(goal) {
+    if (goal.metric === "elapsed_seconds") return 0;
+
+    let value = 0;
+    for (const entry of eventLedger.events) {
+      if (goal.since !== null && entry.timestamp < goal.since) continue;
+      value += this.measure(goal.metric, entry);
+    }
+    return Math.max(0, value);
+  }
+
+  getValue(goal) {
+    if (goal.metric === "elapsed_seconds") {
+      return Math.max(0, Math.floor(timerManager.getElapsedMs() / 1000) - goal.elapsedBaseline);
+    }
+    return this.progress.get(goal.id) || 0;
+  }
+
+  describe(goal) {
+    const value = this.getValue(goal);
+    const next = goal.milestones.find((m) => m.target > value) || null;
+    return {
+      ...goal,
+      value,
+      nextMilestone: next,
+      completed: goal.milestones.every((m) => m.reachedAt !== null),
+    };
+  }
+
+  // Fires each milestone once; a milestone stays reached even if a reversal drops the value again
+  checkMilestones(goal) {
+    const value = this.getValue(goal);
+    let reached = false;
+    for (const milestone of goal.milestones) {
+      if (milestone.reachedAt === null && value >= milestone.target) {
+        milestone.reachedAt = Date.now();
+        reached = true;
+        this.log("info", `${goal.label} reached ${milestone.label || milestone.target}`);
+        this.broadcast({
+          type: "milestone_reached",
+          goal: this.describe(goal),
+          milestone,
+          value,
+        });
+      }
+    }
+    return reached;
+  }
+
+  handleEvent(entry) {
+    if (!entry) return;
+
+    const changed = [];
+    let reached = false;
+    for (const goal of this.goals) {
+      if (goal.metric === "elapsed_seconds") continue;
+      const delta = this.measure(goal.metric, entry);
+      if (delta === 0) continue;
+
+      this.progress.set(goal.id, Math.max(0, this.getValue(goal) + delta));
+      changed.push(goal);
+      reached = this.checkMilestones(goal) || reached;
+    }
+
+    if (changed.length > 0) {
+      this.broadcastGoals();
+    }
+    if (reached) {
+      this.saveState();
+    }
+  }
+
+  // Elapsed goals move with the clock, so they are polled rather than pushed on every tick
+  checkElapsed() {
+    let reached = false;
+    for (const goal of this.goals) {
+      if (goal.metric === "elapsed_seconds") {
+        reached = this.checkMilestones(goal) || reached;
+      }
+    }
+    if (reached) {
+      this.broadcastGoals();
+      this.saveState();
+    }
+  }
+
+  broadcastGoals() {
+    this.broadcast({ type: "goal_update", goals: this.getGoals() });
+  }
+
+  getGoals() {
+    return this.goals.map((goal) => this.describe(goal));
+  }
+
+  getGoal(id) {
+    const goal = this.goals.find((g) => g.id === id);
+    return goal ? this.describe(goal) : null;
+  }
+
+  createGoal(input) {
+    const goal = { id: crypto.randomUUID(), createdAt: Date.now(), ...this.validateGoal(input) };
+    this.goals.push(goal);
+    this.progress.set(goal.id, this.calculateProgress(goal));
+    this.log("info", `Created goal ${goal.label} (${goal.metric})`, goal.milestones);
+
+    this.checkMilestones(goal);
+    this.saveState();
+    this.broadcastGoals();
+    return this.describe(goal);
+  }
+
+  updateGoal(id, input) {
+    const index = this.goals.findIndex((g) => g.id === id);
+    if (index === -1) return null;
+
+    const existing = this.goals[index];
+    const goal = { id, createdAt: existing.createdAt, ...this.validateGoal(input, existing) };
+    this.goals[index] = goal;
+    this.progress.set(goal.id, this.calculateProgress(goal));
+    this.log("info", `Updated goal ${goal.label} (${goal.metric})`, goal.milestones);
+
+    this.checkMilestones(goal);
+    this.saveState();
+    this.broadcastGoals();
+    return this.describe(goal);
+  }
+
+  // Start counting again from now, and let every milestone fire again
+  resetGoal(id) {
+    const goal = this.goals.find((g) => g.id === id);
+    if (!goal) return null;
+
+    goal.since = Date.now();
+    goal.elapsedBaseline = Math.floor(timerManager.getElapsedMs() / 1000);
+    for (const milestone of goal.milestones) {
+      milestone.reachedAt = null;
+    }
+    this.progress.set(goal.id, 0);
+    this.log("info", `Reset goal ${goal.label}`);
+
+    this.saveState();
+    this.broadcastGoals();
+    return this.describe(goal);
+  }
+
+  deleteGoal(id) {
+    const index = this.goals.findIndex((g) => g.id === id);
+    if (index === -1) return false;
+
+    const [goal] = this.goals.splice(index, 1);
+    this.progress.delete(goal.id);
+    this.log("info", `Removed goal ${goal.label}`);
+
+    this.saveState();
+    this.broadcastGoals();
+    return true;
+  }
+
+  getPersistedState() {
+    return this.goals;
+  }
+
+  // Needs the ledger loaded first, since that is where progress is recounted from
+  restoreState(goals) {
+    if (!Array.isArray(goals)) return;
+
+    this.goals = [];
+    this.progress.clear();
+    for (const saved of goals) {
+      try {
+        const goal = {
+          id: saved.id || crypto.randomUUID(),
+          createdAt: saved.createdAt || Date.now(),
+          ...this.validateGoal(saved, saved),
+        };
+        this.goals.push(goal);
+        this.progress.set(goal.id, this.calculateProgress(goal));
+      } catch (error) {
+        this.log("warn", `Dropping invalid saved goal ${saved && saved.id}`, error.message);
+      }
+    }
+    this.log("info", `Restored ${this.goals.length} goal(s)`);
+
+    // Anything crossed before the state was last saved fires now, but only once
+    let reached = false;
+    for (const goal of this.goals) {
+      reached = this.checkMilestones(goal) || reached;
+    }
+    if (reached) {
+      this.saveState();
+    }
+  }
+
+  getStats() {
+    return {
+      goalCount: this.goals.length,
+      milestonesReached: this.goals.reduce(
+        (count, goal) => count + goal.milestones.filter((m) => m.reachedAt !== null).length,
+        0
+      ),
+    };
+  }
+}
+
+export const goalManager = new GoalManager();
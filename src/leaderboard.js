@@ -0,0 +1,219 @@
+import { eventLedger } from "./events.js";
+import { timerManager } from "./timer.js";
+
+export const LEADERBOARD_RANKINGS = ["gifts", "subs", "time", "bits"];
+export const LEADERBOARD_PERIODS = ["all_time", "rolling"];
+
+const RANKING_FIELDS = {
+  gifts: "gifts",
+  subs: "subs",
+  time: "timeAdded",
+  bits: "bits",
+};
+
+class LeaderboardManager {
+  constructor() {
+    // Last top N pushed per board, so updates only go out when a ranking actually changes
+    this.lastBoards = new Map();
+    this.broadcastCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Leaderboard] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  getWindowMs(windowHours = null) {
+    const hours = windowHours ?? timerManager.getSettings().leaderboardWindowHours;
+    return hours * 60 * 60 * 1000;
+  }
+
+  // What a ledger entry credits to its supporter. Only real Twitch events count: manual
+  // additions and dev simulations aren't supporters, and anonymous gifts have nobody to credit
+  getContribution(entry) {
+    if (entry.type !== "time_added" || entry.source !== "twitch" || !entry.username) {
+      return null;
+    }
+    const details = entry.details || {};
+    if (details.anonymous) return null;
+
+    const count = details.subCount || 1;
+    const isGift = details.subType === "gift";
+    const isSub = isGift || details.subType === "subscription" || details.subType === "resub";
+    return {
+      username: entry.username,
+      gifts: isGift ? count : 0,
+      subs: isSub ? count : 0,
+      timeAdded: entry.seconds,
+      bits: details.subType === "cheer" ? details.bits || 0 : 0,
+    };
+  }
+
+  // Reversals are counted against the original event, so they fall in the same window
+  aggregate(since = null) {
+    const totals = new Map();
+    const apply = (contribution, sign, timestamp, seconds = contribution.timeAdded) => {
+      const key = contribution.username.toLowerCase();
+      const totalsForUser = totals.get(key) || {
+        username: contribution.username,
+        gifts: 0,
+        subs: 0,
+        timeAdded: 0,
+        bits: 0,
+        lastContribution: timestamp,
+      };
+      totalsForUser.gifts += sign * contribution.gifts;
+      totalsForUser.subs += sign * contribution.subs;
+      totalsForUser.timeAdded += sign * seconds;
+      totalsForUser.bits += sign * contribution.bits;
+      if (sign > 0) {
+        totalsForUser.lastContribution = Math.max(totalsForUser.lastContribution, timestamp);
+      }
+      totals.set(key, totalsForUser);
+    };
+
+    for (const entry of eventLedger.events) {
+      if (entry.type === "time_reversed") {
+        const original = eventLedger.getEvent(entry.details?.reversedEventId);
+        if (!original || (since !== null && original.timestamp < since)) continue;
+        const contribution = this.getContribution(original);
+        if (contribution) {
+          apply(contribution, -1, original.timestamp, -entry.seconds);
+        }
+        continue;
+      }
+
+      if (since !== null && entry.timestamp < since) continue;
+      const contribution = this.getContribution(entry);
+      if (contribution) {
+        apply(contribution, 1, entry.timestamp);
+      }
+    }
+    return totals;
+  }
+
+  // Ties go to whoever got there first
+  rank(totals, rankBy, limit) {
+    const field = RANKING_FIELDS[rankBy];
+    return Array.from(totals.values())
+      .filter((supporter) => supporter[field] > 0)
+      .sort((a, b) => b[field] - a[field] || a.lastContribution - b.lastContribution)
+      .slice(0, limit)
+      .map((supporter, index) => ({ rank: index + 1, ...supporter }));
+  }
+
+  getLeaderboard({ rankBy = "gifts", period = "all_time", limit = null, windowHours = null } = {}) {
+    const since = period === "rolling" ? Date.now() - this.getWindowMs(windowHours) : null;
+    return {
+      rankBy,
+      period,
+      windowHours:
+        period === "rolling"
+          ? (windowHours ?? timerManager.getSettings().leaderboardWindowHours)
+          : null,
+      since,
+      entries: this.rank(
+        this.aggregate(since),
+        rankBy,
+        limit ?? timerManager.getSettings().leaderboardSize
+      ),
+    };
+  }
+
+  // Every board at the configured size, which is what overlays are pushed
+  getBoards() {
+    const { leaderboardSize } = timerManager.getSettings();
+    const boards = {};
+    for (const period of LEADERBOARD_PERIODS) {
+      const since = period === "rolling" ? Date.now() - this.getWindowMs() : null;
+      const totals = this.aggregate(since);
+      boards[period] = {};
+      for (const rankBy of LEADERBOARD_RANKINGS) {
+        boards[period][rankBy] = this.rank(totals, rankBy, leaderboardSize);
+      }
+    }
+    return boards;
+  }
+
+  getSnapshot() {
+    return {
+      type: "leaderboard_update",
+      windowHours: timerManager.getSettings().leaderboardWindowHours,
+      boards: this.getBoards(),
+    };
+  }
+
+  // Who is on each board and with how much, keyed by "period:rankBy"
+  getSignatures(boards) {
+    const signatures = new Map();
+    for (const period of LEADERBOARD_PERIODS) {
+      for (const rankBy of LEADERBOARD_RANKINGS) {
+        signatures.set(
+          `${period}:${rankBy}`,
+          JSON.stringify(
+            boards[period][rankBy].map((supporter) => [
+              supporter.username,
+              supporter[RANKING_FIELDS[rankBy]],
+            ])
+          )
+        );
+      }
+    }
+    return signatures;
+  }
+
+  // Called after new events and periodically, since rolling boards change as events age out
+  checkForChanges() {
+    const snapshot = this.getSnapshot();
+    const signatures = this.getSignatures(snapshot.boards);
+    const changed = [];
+    for (const [key, signature] of signatures) {
+      if (this.lastBoards.get(key) !== signature) {
+        const [period, rankBy] = key.split(":");
+        changed.push({ period, rankBy });
+      }
+    }
+    this.lastBoards = signatures;
+
+    if (changed.length > 0) {
+      this.log(
+        "debug",
+        `Leaderboard changed: ${changed.map((c) => `${c.period}/${c.rankBy}`).join(", ")}`
+      );
+      this.broadcast({ ...snapshot, changed });
+    }
+  }
+
+  handleEvent(entry) {
+    if (!entry) return;
+    const original =
+      entry.type === "time_reversed" ? eventLedger.getEvent(entry.details?.reversedEventId) : entry;
+    if (original && this.getContribution(original)) {
+      this.checkForChanges();
+    }
+  }
+
+  // Remember the current boards without broadcasting them, e.g. right after startup
+  prime() {
+    this.lastBoards = this.getSignatures(this.getBoards());
+  }
+}
+
+export const leaderboardManager = new LeaderboardManager();
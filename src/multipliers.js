@@ -0,0 +1,235 @@
+import crypto from "crypto";
+
+// Event types a window can be limited to; anything else is rejected on create
+export const MULTIPLIER_EVENT_TYPES = [
+  "sub",
+  "resub",
+  "gift",
+  "upgrade",
+  "pay_forward",
+  "cheer",
+  "raid",
+];
+
+class MultiplierScheduler {
+  constructor() {
+    this.windows = [];
+    this.activeIds = new Set();
+    this.checkTimeout = null;
+    this.maxCheckDelayMs = 60000;
+    this.broadcastCallback = null;
+    this.saveStateCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Multipliers] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  setSaveStateCallback(callback) {
+    this.saveStateCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  saveState() {
+    if (!this.saveStateCallback) return;
+    try {
+      const result = this.saveStateCallback();
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => this.log("warn", "Failed to save schedule", error.message));
+      }
+    } catch (error) {
+      this.log("warn", "Failed to save schedule", error.message);
+    }
+  }
+
+  // Accepts epoch milliseconds or anything Date can parse
+  parseTime(value, field) {
+    const time = typeof value === "number" ? value : Date.parse(value);
+    if (!Number.isFinite(time)) {
+      throw new Error(`Invalid ${field} time`);
+    }
+    return time;
+  }
+
+  validateWindow(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const start = this.parseTime(merged.start, "start");
+    const end = this.parseTime(merged.end, "end");
+    const multiplier =
+      typeof merged.multiplier === "string" ? Number(merged.multiplier) : merged.multiplier;
+
+    if (end <= start) {
+      throw new Error("end must be after start");
+    }
+    if (!Number.isFinite(multiplier) || multiplier <= 0) {
+      throw new Error("multiplier must be a positive number");
+    }
+
+    let eventTypes = null;
+    if (merged.eventTypes !== undefined && merged.eventTypes !== null) {
+      if (!Array.isArray(merged.eventTypes) || merged.eventTypes.length === 0) {
+        throw new Error("eventTypes must be a non-empty array or null for all events");
+      }
+      const unknown = merged.eventTypes.filter((type) => !MULTIPLIER_EVENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown event types: ${unknown.join(", ")}`);
+      }
+      eventTypes = [...new Set(merged.eventTypes)];
+    }
+
+    return {
+      label:
+        typeof merged.label === "string" && merged.label.trim()
+          ? merged.label.trim()
+          : `${multiplier}x`,
+      start,
+      end,
+      multiplier,
+      eventTypes,
+    };
+  }
+
+  createWindow(input) {
+    const window = { id: crypto.randomUUID(), ...this.validateWindow(input) };
+    this.windows.push(window);
+    this.log("info", `Scheduled ${window.label} (${window.multiplier}x)`, window);
+    this.saveState();
+    this.check();
+    return window;
+  }
+
+  updateWindow(id, input) {
+    const index = this.windows.findIndex((window) => window.id === id);
+    if (index === -1) return null;
+
+    const window = { id, ...this.validateWindow(input, this.windows[index]) };
+    this.windows[index] = window;
+    this.log("info", `Updated ${window.label} (${window.multiplier}x)`, window);
+    this.saveState();
+    this.check();
+    return window;
+  }
+
+  deleteWindow(id) {
+    const index = this.windows.findIndex((window) => window.id === id);
+    if (index === -1) return false;
+
+    const [window] = this.windows.splice(index, 1);
+    this.log("info", `Removed ${window.label}`);
+    this.saveState();
+    this.check();
+    return true;
+  }
+
+  getActiveWindows(now = Date.now()) {
+    return this.windows.filter((window) => window.start <= now && now < window.end);
+  }
+
+  // Overlapping windows don't stack: the biggest matching multiplier wins
+  getMultiplier(eventType, now = Date.now()) {
+    let multiplier = 1;
+    for (const window of this.getActiveWindows(now)) {
+      if (window.eventTypes && !window.eventTypes.includes(eventType)) continue;
+      multiplier = Math.max(multiplier, window.multiplier);
+    }
+    return multiplier;
+  }
+
+  // Broadcast windows that opened or closed since the last check, then sleep until the next
+  // boundary (capped, so clock changes and long timeouts can't stall the schedule)
+  check() {
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+
+    const now = Date.now();
+    const active = this.getActiveWindows(now);
+    const activeIds = new Set(active.map((window) => window.id));
+
+    for (const window of active) {
+      if (!this.activeIds.has(window.id)) {
+        this.log("info", `${window.label} started (${window.multiplier}x)`);
+        this.broadcast({ type: "multiplier_started", window, active });
+      }
+    }
+    for (const id of this.activeIds) {
+      if (!activeIds.has(id)) {
+        const window = this.windows.find((w) => w.id === id) || { id };
+        this.log("info", `${window.label || id} ended`);
+        this.broadcast({ type: "multiplier_ended", window, active });
+      }
+    }
+    this.activeIds = activeIds;
+
+    // Windows that are over for good no longer need to be kept around
+    const finished = this.windows.filter((window) => window.end <= now);
+    if (finished.length > 0) {
+      this.windows = this.windows.filter((window) => window.end > now);
+      this.saveState();
+    }
+
+    const boundaries = this.windows
+      .flatMap((window) => [window.start, window.end])
+      .filter((time) => time > now);
+    const delay = Math.min(
+      boundaries.length > 0 ? Math.min(...boundaries) - now : this.maxCheckDelayMs,
+      this.maxCheckDelayMs
+    );
+    this.checkTimeout = setTimeout(() => this.check(), Math.max(delay, 0));
+  }
+
+  getStatus() {
+    const active = this.getActiveWindows();
+    return {
+      windows: [...this.windows].sort((a, b) => a.start - b.start),
+      active,
+      eventTypes: MULTIPLIER_EVENT_TYPES,
+    };
+  }
+
+  getPersistedState() {
+    return this.windows;
+  }
+
+  restoreState(windows) {
+    if (!Array.isArray(windows)) return;
+
+    this.windows = [];
+    for (const saved of windows) {
+      try {
+        this.windows.push({ id: saved.id || crypto.randomUUID(), ...this.validateWindow(saved) });
+      } catch (error) {
+        this.log("warn", `Dropping invalid saved window ${saved && saved.id}`, error.message);
+      }
+    }
+    this.log("info", `Restored ${this.windows.length} multiplier window(s)`);
+    this.check();
+  }
+
+  cleanup() {
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+}
+
+export const multiplierScheduler = new MultiplierScheduler();
@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const SNAPSHOT_PATTERN = /^timer-state-[0-9TZ-]+\.json$/;
+
+const checksumOf = (payload) => crypto.createHash("sha256").update(payload).digest("hex");
+
+class StateStore {
+  constructor() {
+    this.filePath = null;
+    this.backupDir = null;
+    this.maxSnapshots = 20;
+    // Saves happen every few seconds during a busy stream; snapshots are rationed
+    this.snapshotIntervalMs = 5 * 60 * 1000;
+    this.lastSnapshotAt = 0;
+    this.writeQueue = Promise.resolve();
+    this.restoreCallback = null;
+    this.lastLoadSource = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [State] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setPaths(filePath, backupDir) {
+    this.filePath = filePath;
+    this.backupDir = backupDir;
+  }
+
+  setRestoreCallback(callback) {
+    this.restoreCallback = callback;
+  }
+
+  // The checksum covers the exact serialized state, so a truncated or hand-mangled file fails
+  serialize(state) {
+    const payload = JSON.stringify(state);
+    return JSON.stringify({ checksum: checksumOf(payload), state: payload });
+  }
+
+  parse(data) {
+    const file = JSON.parse(data);
+
+    // Files written before checksums existed are the bare state object
+    if (typeof file.checksum !== "string" || typeof file.state !== "string") {
+      if (file && typeof file === "object" && "timeRemaining" in file) {
+        return file;
+      }
+      throw new Error("Unrecognized state file format");
+    }
+
+    if (checksumOf(file.state) !== file.checksum) {
+      throw new Error("Checksum mismatch");
+    }
+    return JSON.parse(file.state);
+  }
+
+  // Write to a temp file and rename over the target, so a crash leaves either the old file or
+  // the new one, never half of each
+  async writeAtomic(filePath, contents) {
+    const tmpPath = `${filePath}.tmp`;
+    const handle = await fs.open(tmpPath, "w");
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Chain writes so two in flight can't both be writing the same temp file
+  enqueue(task) {
+    const write = this.writeQueue.then(task);
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  save(state) {
+    return this.enqueue(async () => {
+      const contents = this.serialize(state);
+      await this.writeAtomic(this.filePath, contents);
+      await this.snapshotIfDue(contents);
+    });
+  }
+
+  // For backends that keep the live state somewhere else but still want file backups
+  saveSnapshotIfDue(state) {
+    return this.enqueue(() => this.snapshotIfDue(this.serialize(state)));
+  }
+
+  async snapshotIfDue(contents) {
+    if (this.backupDir && Date.now() - this.lastSnapshotAt >= this.snapshotIntervalMs) {
+      await this.writeSnapshot(contents);
+    }
+  }
+
+  async writeSnapshot(contents, label = null) {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const name = `timer-state-${stamp}.json`;
+    await this.writeAtomic(path.join(this.backupDir, name), contents);
+    this.lastSnapshotAt = Date.now();
+    this.log("info", `Wrote snapshot ${name}${label ? ` (${label})` : ""}`);
+
+    await this.pruneSnapshots();
+    return name;
+  }
+
+  async getSnapshotNames() {
+    if (!this.backupDir) return [];
+    try {
+      const names = await fs.readdir(this.backupDir);
+      // ISO timestamps sort chronologically, so newest first is a reverse sort
+      return names
+        .filter((name) => SNAPSHOT_PATTERN.test(name))
+        .sort()
+        .reverse();
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async pruneSnapshots() {
+    const names = await this.getSnapshotNames();
+    for (const name of names.slice(this.maxSnapshots)) {
+      try {
+        await fs.unlink(path.join(this.backupDir, name));
+      } catch (error) {
+        this.log("warn", `Failed to remove old snapshot ${name}`, error.message);
+      }
+    }
+  }
+
+  async readSnapshot(name) {
+    if (!SNAPSHOT_PATTERN.test(name)) {
+      throw new Error("Invalid snapshot name");
+    }
+    const data = await fs.readFile(path.join(this.backupDir, name), "utf8");
+    return this.parse(data);
+  }
+
+  // The main file first, then snapshots newest to oldest, taking the first one that checks out
+  async load() {
+    try {
+      const state = this.parse(await fs.readFile(this.filePath, "utf8"));
+      this.lastLoadSource = path.basename(this.filePath);
+      return state;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.log("info", "No saved state found");
+      } else {
+        this.log("error", "Saved state is unreadable, trying snapshots", error.message);
+      }
+    }
+
+    return this.loadNewestSnapshot();
+  }
+
+  async loadNewestSnapshot() {
+    for (const name of await this.getSnapshotNames()) {
+      try {
+        const state = await this.readSnapshot(name);
+        this.lastLoadSource = name;
+        this.log("warn", `Recovered state from snapshot ${name}`);
+        return state;
+      } catch (error) {
+        this.log("warn", `Snapshot ${name} is unreadable, skipping`, error.message);
+      }
+    }
+
+    this.lastLoadSource = null;
+    return null;
+  }
+
+  async listSnapshots() {
+    const snapshots = [];
+    for (const name of await this.getSnapshotNames()) {
+      const snapshot = { name, valid: false };
+      try {
+        const stats = await fs.stat(path.join(this.backupDir, name));
+        snapshot.size = stats.size;
+        const state = await this.readSnapshot(name);
+        snapshot.valid = true;
+        snapshot.lastSaved = state.lastSaved ?? null;
+        snapshot.timeRemaining = state.timeRemaining ?? null;
+        snapshot.isActive = !!state.isActive;
+      } catch (error) {
+        snapshot.error = error.message;
+      }
+      snapshots.push(snapshot);
+    }
+    return snapshots;
+  }
+
+  // The last saved state is snapshotted first, so a restore can itself be undone
+  async restoreSnapshot(name, currentState = null, context = {}) {
+    const state = await this.readSnapshot(name);
+    if (!this.restoreCallback) {
+      throw new Error("No restore handler configured");
+    }
+
+    await this.writeQueue;
+    let backup = null;
+    if (currentState) {
+      backup = await this.writeSnapshot(this.serialize(currentState), `before restoring ${name}`);
+    } else {
+      this.log("warn", "No saved state to snapshot before restore");
+    }
+
+    await this.restoreCallback(state, context);
+    this.log("info", `Restored state from snapshot ${name}`);
+    return { restored: name, backup };
+  }
+
+  getStats() {
+    return {
+      lastLoadSource: this.lastLoadSource,
+      lastSnapshotAt: this.lastSnapshotAt || null,
+      maxSnapshots: this.maxSnapshots,
+    };
+  }
+}
+
+export const stateStore = new StateStore();
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import { validateSettings } from "./types.js";
+import { timerManager } from "./timer.js";
+
+class PresetManager {
+  constructor() {
+    this.presets = [];
+    this.broadcastCallback = null;
+    this.saveStateCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Presets] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  setSaveStateCallback(callback) {
+    this.saveStateCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  saveState() {
+    if (!this.saveStateCallback) return;
+    try {
+      const result = this.saveStateCallback();
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => this.log("warn", "Failed to save presets", error.message));
+      }
+    } catch (error) {
+      this.log("warn", "Failed to save presets", error.message);
+    }
+  }
+
+  // Checked against the same schema as POST /api/settings, so applying a preset can't fail halfway
+  validateSettings(settings) {
+    const { values, errors } = validateSettings(settings);
+    const invalid = Object.entries(errors);
+    if (invalid.length > 0) {
+      throw new Error(invalid.map(([key, error]) => `${key} ${error}`).join("; "));
+    }
+
+    if (Object.keys(values).length === 0) {
+      throw new Error("A preset needs at least one setting");
+    }
+    return values;
+  }
+
+  validatePreset(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const name = typeof merged.name === "string" ? merged.name.trim() : "";
+    if (!name) {
+      throw new Error("Preset name is required");
+    }
+    const clash = this.presets.find(
+      (preset) => preset.id !== existing.id && preset.name.toLowerCase() === name.toLowerCase()
+    );
+    if (clash) {
+      throw new Error(`A preset named "${clash.name}" already exists`);
+    }
+
+    return { name, settings: this.validateSettings(merged.settings) };
+  }
+
+  getPresets() {
+    return this.presets;
+  }
+
+  getPreset(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+
+  createPreset(input) {
+    const now = Date.now();
+    const preset = {
+      id: crypto.randomUUID(),
+      ...this.validatePreset(input),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.presets.push(preset);
+    this.log("info", `Created preset "${preset.name}"`, preset.settings);
+    this.saveState();
+    return preset;
+  }
+
+  updatePreset(id, input) {
+    const index = this.presets.findIndex((preset) => preset.id === id);
+    if (index === -1) return null;
+
+    const existing = this.presets[index];
+    const preset = { ...existing, ...this.validatePreset(input, existing), updatedAt: Date.now() };
+    this.presets[index] = preset;
+    this.log("info", `Updated preset "${preset.name}"`, preset.settings);
+    this.saveState();
+    return preset;
+  }
+
+  deletePreset(id) {
+    const index = this.presets.findIndex((preset) => preset.id === id);
+    if (index === -1) return false;
+
+    const [preset] = this.presets.splice(index, 1);
+    this.log("info", `Removed preset "${preset.name}"`);
+    this.saveState();
+    return true;
+  }
+
+  // Goes through updateSettings() so the usual style and settings broadcasts go out
+  applyPreset(id, actor = null) {
+    const preset = this.getPreset(id);
+    if (!preset) return null;
+
+    this.log("info", `Applying preset "${preset.name}"`);
+    const settings = timerManager.updateSettings(preset.settings, {
+      actor,
+      source: "preset",
+      preset: { id: preset.id, name: preset.name },
+    });
+    this.broadcast({ type: "preset_applied", preset: { id: preset.id, name: preset.name } });
+    return { preset, settings };
+  }
+
+  getPersistedState() {
+    return this.presets;
+  }
+
+  restoreState(presets) {
+    if (!Array.isArray(presets)) return;
+
+    this.presets = [];
+    for (const saved of presets) {
+      try {
+        this.presets.push({
+          id: saved.id || crypto.randomUUID(),
+          ...this.validatePreset(saved),
+          createdAt: saved.createdAt || Date.now(),
+          updatedAt: saved.updatedAt || saved.createdAt || Date.now(),
+        });
+      } catch (error) {
+        this.log("warn", `Dropping invalid saved preset ${saved && saved.name}`, error.message);
+      }
+    }
+    this.log("info", `Restored ${this.presets.length} settings preset(s)`);
+  }
+}
+
+export const presetManager = new PresetManager();
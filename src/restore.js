@@ -0,0 +1,163 @@
+import { timerManager } from "./timer.js";
+import { RESTORE_POLICIES } from "./types.js";
+
+const DEDUCTING_POLICIES = ["resume", "deduct"];
+
+// Decide what to do with a saved state. Over the threshold, deduct and freeze both fall back
+// to restoring paused at the saved time so nothing is lost while nobody is watching
+export const planRestore = (state, settings, downtimeMs) => {
+  const policy = RESTORE_POLICIES.includes(settings.restorePolicy)
+    ? settings.restorePolicy
+    : "deduct";
+  const thresholdMs = settings.restoreThresholdSeconds * 1000;
+  const downtime = `${Math.round(downtimeMs / 1000)}s`;
+
+  if (!state.isActive) {
+    return { policy, resume: false, deduct: false, reason: "Timer was paused when saved" };
+  }
+
+  switch (policy) {
+    case "resume":
+      return {
+        policy,
+        resume: true,
+        deduct: true,
+        reason: `Resumed after ${downtime} of downtime, which was deducted`,
+      };
+    case "pause":
+      return { policy, resume: false, deduct: false, reason: "Policy never resumes automatically" };
+    default: {
+      const deduct = policy === "deduct";
+      if (downtimeMs > thresholdMs) {
+        return {
+          policy,
+          resume: false,
+          deduct: false,
+          reason: `Down for ${downtime}, over the ${settings.restoreThresholdSeconds}s threshold, so restored paused at the saved time`,
+        };
+      }
+      return {
+        policy,
+        resume: true,
+        deduct,
+        reason: `Down for ${downtime}, within the ${settings.restoreThresholdSeconds}s threshold, so resumed ${deduct ? "with the downtime deducted" : "with the downtime frozen"}`,
+      };
+    }
+  }
+};
+
+class RestoreManager {
+  constructor() {
+    this.report = null;
+    this.broadcastCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Restore] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  setReport(report) {
+    this.report = {
+      ...report,
+      createdAt: Date.now(),
+      status: report.wasActive ? "pending" : "confirmed",
+      resolvedAt: null,
+      resolvedBy: null,
+    };
+    this.log("info", `Startup restore: ${report.reason}`, this.report);
+    this.broadcast(this.getMessage());
+    return this.report;
+  }
+
+  getReport() {
+    return this.report;
+  }
+
+  // A running timer came back on a policy decision nobody has looked at yet
+  isPending() {
+    return !!this.report && this.report.status === "pending";
+  }
+
+  getMessage() {
+    return { type: "restore_report", report: this.report };
+  }
+
+  confirm(actor) {
+    if (!this.report) return null;
+
+    this.report.status = "confirmed";
+    this.report.resolvedAt = Date.now();
+    this.report.resolvedBy = actor;
+    this.log("info", `Restore confirmed by ${actor}`);
+    this.broadcast(this.getMessage());
+    return this.report;
+  }
+
+  // Redo the startup decision with another policy, shifting the timer by the difference so
+  // anything added or counted down since startup is kept
+  override(policy, actor) {
+    if (!this.report) return null;
+    if (!RESTORE_POLICIES.includes(policy)) {
+      throw new Error(`policy must be one of: ${RESTORE_POLICIES.join(", ")}`);
+    }
+    if (!this.report.wasActive) {
+      throw new Error("The timer was paused when saved, so there is no downtime to override");
+    }
+
+    const deduct = DEDUCTING_POLICIES.includes(policy);
+    const resume = policy !== "pause";
+    const deductedMs = deduct ? this.report.downtimeMs : 0;
+    const adjustMs = this.report.deductedMs - deductedMs;
+
+    timerManager.setRemainingMs(timerManager.getTotalRemainingMs() + adjustMs);
+    timerManager.setElapsedMs(timerManager.getElapsedMs() - adjustMs);
+    if (resume && !timerManager.timerState.isActive && timerManager.getTotalRemainingMs() > 0) {
+      timerManager.start();
+    } else if (!resume && timerManager.timerState.isActive) {
+      timerManager.stop();
+    } else {
+      timerManager.broadcastSync();
+    }
+
+    // The top-level fields describe what is in effect now; the startup decision is kept under
+    // override for reference
+    this.report.override = {
+      policy,
+      adjustedSeconds: Math.round(adjustMs / 1000),
+      resumed: resume,
+      previousPolicy: this.report.policy,
+      previousReason: this.report.reason,
+    };
+    this.report.policy = policy;
+    this.report.reason = `Overridden by ${actor} with policy ${policy}`;
+    this.report.resumed = timerManager.timerState.isActive;
+    this.report.timeRemaining = timerManager.getTimeRemaining();
+    this.report.deductedMs = deductedMs;
+    this.report.status = "overridden";
+    this.report.resolvedAt = Date.now();
+    this.report.resolvedBy = actor;
+    this.log("info", `Restore overridden by ${actor} with policy ${policy}`, this.report.override);
+    this.broadcast(this.getMessage());
+    return this.report;
+  }
+}
+
+export const restoreManager = new RestoreManager();
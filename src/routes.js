@@ -1,6 +1,23 @@
+import crypto from "crypto";
 import express from "express";
 import path from "path";
 import { timerManager } from "./timer.js";
+import { twitchManager } from "./twitch.js";
+import { eventLedger } from "./events.js";
+import { authManager, requireRole, ROLE_LEVELS } from "./auth.js";
+import { applyMultiplier } from "./timeRules.js";
+import { multiplierScheduler } from "./multipliers.js";
+import { goalManager, GOAL_METRICS } from "./goals.js";
+import { presetManager } from "./presets.js";
+import { webhookManager } from "./webhooks.js";
+import { alertQueue } from "./alerts.js";
+import { sseManager } from "./sse.js";
+import { settingsHistory } from "./settingsHistory.js";
+import { leaderboardManager, LEADERBOARD_PERIODS, LEADERBOARD_RANKINGS } from "./leaderboard.js";
+import { stateStore } from "./persistence.js";
+import { storage } from "./storage.js";
+import { restoreManager } from "./restore.js";
+import { RESTORE_POLICIES, validateSettings } from "./types.js";
 
 const router = express.Router();
 
@@ -9,35 +26,118 @@ router.get("/api/timer", (req, res) => {
   res.json(timerManager.getState());
 });
 
-router.post("/api/timer/start", (req, res) => {
+// The same messages as the WebSocket, minus the admin topic, for clients that can only read an
+// HTTP stream; ?protocol=sync works the same way too
+router.get("/api/stream", (req, res) => {
+  sseManager.handleRequest(req, res);
+});
+
+router.post("/api/timer/start", requireRole("moderator"), (req, res) => {
   timerManager.start();
   res.json({ success: true, message: "Timer started" });
 });
 
-router.post("/api/timer/stop", (req, res) => {
+router.post("/api/timer/stop", requireRole("moderator"), (req, res) => {
   timerManager.stop();
   res.json({ success: true, message: "Timer stopped" });
 });
 
-router.post("/api/timer/reset", (req, res) => {
-  const raw = req.body.time;
+router.post("/api/timer/reset", requireRole("streamer"), (req, res) => {
+  const raw = req.body?.time;
   const time = typeof raw === "string" ? Number(raw) : raw;
   const safeTime = Number.isFinite(time) && time >= 0 ? time : 3600;
   timerManager.reset(safeTime);
   res.json({ success: true, message: "Timer reset" });
 });
 
-router.post("/api/timer/add", (req, res) => {
-  const raw = req.body.seconds;
+router.post("/api/timer/add", requireRole("moderator"), (req, res) => {
+  const raw = req.body?.seconds;
   const seconds = typeof raw === "string" ? Number(raw) : raw;
   if (Number.isFinite(seconds) && seconds > 0) {
-    timerManager.addTime(Number(seconds));
-    res.json({ success: true, message: `Added ${seconds} seconds` });
+    const event = timerManager.addTime(Number(seconds));
+    // The subathon length limit may have credited less than was asked for
+    res.json({
+      success: true,
+      message: `Added ${event?.seconds ?? seconds} seconds`,
+      eventId: event?.id ?? null,
+    });
   } else {
     res.status(400).json({ success: false, message: "Invalid seconds value" });
   }
 });
 
+router.get("/api/events", requireRole("overlay"), (req, res) => {
+  // Accept either epoch milliseconds or anything Date can parse
+  const toTimestamp = (val) => {
+    if (val === undefined || val === "") return undefined;
+    const n = Number(val);
+    if (Number.isFinite(n)) return n;
+    const parsed = Date.parse(val);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  };
+  const toCount = (val) => {
+    if (val === undefined || val === "") return undefined;
+    const n = Number(val);
+    return Number.isInteger(n) && n >= 0 ? n : undefined;
+  };
+
+  const { source, type, username, tier } = req.query;
+  const since = toTimestamp(req.query.since);
+  const until = toTimestamp(req.query.until);
+  const limit = toCount(req.query.limit);
+  const offset = toCount(req.query.offset);
+
+  if (
+    (req.query.since !== undefined && since === undefined) ||
+    (req.query.until !== undefined && until === undefined) ||
+    (req.query.limit !== undefined && (limit === undefined || limit === 0)) ||
+    (req.query.offset !== undefined && offset === undefined)
+  ) {
+    return res.status(400).json({ success: false, message: "Invalid query parameters" });
+  }
+
+  res.json(eventLedger.query({ source, type, username, tier, since, until, limit, offset }));
+});
+
+router.get("/api/events/:id", requireRole("overlay"), (req, res) => {
+  const event = eventLedger.getEvent(req.params.id);
+  if (!event) {
+    return res.status(404).json({ success: false, message: "Event not found" });
+  }
+  res.json(event);
+});
+
+router.post("/api/events/:id/reverse", requireRole("moderator"), (req, res) => {
+  const event = eventLedger.getEvent(req.params.id);
+  if (!event) {
+    return res.status(404).json({ success: false, message: "Event not found" });
+  }
+  if (event.type !== "time_added") {
+    return res.status(400).json({
+      success: false,
+      message: `Only time_added events can be reversed (got ${event.type})`,
+    });
+  }
+
+  const existing = eventLedger.findReversal(event.id);
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: `Event ${event.id} was already reversed by event ${existing.id}`,
+      reversalEventId: existing.id,
+    });
+  }
+
+  const reason = typeof req.body?.reason === "string" ? req.body.reason : null;
+  const reversal = timerManager.reverseTime(event, reason);
+
+  res.json({
+    success: true,
+    message: `Reversed event ${event.id} (${-reversal.seconds} seconds removed)`,
+    reversal,
+  });
+});
+
 router.get("/api/settings", (req, res) => {
   res.json(timerManager.getSettings());
 });
@@ -53,41 +153,16 @@ router.get("/api/settings/sub-times", (req, res) => {
   });
 });
 
-router.post("/api/settings", (req, res) => {
+router.post("/api/settings", requireRole("streamer"), (req, res) => {
   console.log("[API] Received settings update request:", req.body);
 
-  // Helper to coerce potentially string inputs to numbers safely
-  const toNumber = (val) => {
-    if (val === undefined || val === null || val === "") return undefined;
-    const n = typeof val === "string" ? Number(val) : val;
-    return Number.isFinite(n) ? n : undefined;
-  };
-
-  // Build payload including only defined/valid properties
-  const payload = {
-    // Times
-    regularSubTime: toNumber(req.body.regularSubTime),
-    tier2SubTime: toNumber(req.body.tier2SubTime),
-    tier3SubTime: toNumber(req.body.tier3SubTime),
-    primeSubTime: toNumber(req.body.primeSubTime),
-    giftSubTime: toNumber(req.body.giftSubTime),
-    timerSize: toNumber(req.body.timerSize),
-    // Styling
-    timerColor: req.body.timerColor,
-    timerFont: req.body.timerFont,
-    timerShadowColor: req.body.timerShadowColor,
-    timerShadowBlur: toNumber(req.body.timerShadowBlur),
-    timerShadowOpacity: toNumber(req.body.timerShadowOpacity),
-    timerShadowX: toNumber(req.body.timerShadowX),
-    timerShadowY: toNumber(req.body.timerShadowY),
-  };
-
-  // Remove undefined keys so updateSettings won't even see them
-  Object.keys(payload).forEach((k) => payload[k] === undefined && delete payload[k]);
-
-  console.log("[API] Coerced settings payload:", payload);
+  // Nothing is applied unless every field checks out, so a 200 means all of it took effect
+  const { values, errors } = validateSettings(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, message: "Invalid settings", errors });
+  }
 
-  const updatedSettings = timerManager.updateSettings(payload);
+  const updatedSettings = timerManager.updateSettings(values, { actor: req.auth, source: "api" });
 
   console.log("[API] Settings updated successfully:", updatedSettings);
 
@@ -98,8 +173,421 @@ router.post("/api/settings", (req, res) => {
   });
 });
 
+// Every settings change, who made it, and a way back
+router.get("/api/settings/history", requireRole("moderator"), (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > 500 ||
+    !Number.isInteger(offset) ||
+    offset < 0
+  ) {
+    return res.status(400).json({ success: false, message: "Invalid query parameters" });
+  }
+  res.json(settingsHistory.list({ limit, offset }));
+});
+
+router.get("/api/settings/history/diff", requireRole("moderator"), (req, res) => {
+  if (req.query.from === undefined) {
+    return res.status(400).json({ success: false, message: "from is required" });
+  }
+  const diff = settingsHistory.diff(req.query.from, req.query.to ?? null);
+  if (!diff) {
+    return res.status(404).json({ success: false, message: "Settings version not found" });
+  }
+  res.json(diff);
+});
+
+router.get("/api/settings/history/:version", requireRole("moderator"), (req, res) => {
+  const entry = settingsHistory.getVersion(req.params.version);
+  if (!entry) {
+    return res.status(404).json({ success: false, message: "Settings version not found" });
+  }
+  res.json(entry);
+});
+
+router.post("/api/settings/history/:version/revert", requireRole("streamer"), (req, res) => {
+  try {
+    const result = settingsHistory.revert(req.params.version, req.auth);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Settings version not found" });
+    }
+    res.json({
+      success: true,
+      message: `Reverted settings to version ${result.revertedTo}`,
+      ...result,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Failed to revert settings" });
+  }
+});
+
+// Named settings presets
+router.get("/api/presets", (req, res) => {
+  res.json({ presets: presetManager.getPresets() });
+});
+
+router.get("/api/presets/:id", (req, res) => {
+  const preset = presetManager.getPreset(req.params.id);
+  if (!preset) {
+    return res.status(404).json({ success: false, message: "Preset not found" });
+  }
+  res.json(preset);
+});
+
+router.post("/api/presets", requireRole("streamer"), (req, res) => {
+  try {
+    const preset = presetManager.createPreset(req.body);
+    res.status(201).json({ success: true, message: "Preset created", preset });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/api/presets/:id", requireRole("streamer"), (req, res) => {
+  try {
+    const preset = presetManager.updatePreset(req.params.id, req.body);
+    if (!preset) {
+      return res.status(404).json({ success: false, message: "Preset not found" });
+    }
+    res.json({ success: true, message: "Preset updated", preset });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/api/presets/:id", requireRole("streamer"), (req, res) => {
+  if (!presetManager.deletePreset(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Preset not found" });
+  }
+  res.json({ success: true, message: "Preset removed" });
+});
+
+router.post("/api/presets/:id/apply", requireRole("streamer"), (req, res) => {
+  try {
+    const result = presetManager.applyPreset(req.params.id, req.auth);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Preset not found" });
+    }
+    res.json({
+      success: true,
+      message: `Applied preset "${result.preset.name}"`,
+      settings: result.settings,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Failed to apply preset" });
+  }
+});
+
+// The server-side alert queue overlays play from
+router.get("/api/alerts", requireRole("moderator"), (req, res) => {
+  res.json(alertQueue.getStatus());
+});
+
+router.post("/api/alerts/skip", requireRole("moderator"), (req, res) => {
+  const alert = alertQueue.skip();
+  if (!alert) {
+    return res.status(404).json({ success: false, message: "No alert is showing" });
+  }
+  res.json({ success: true, message: "Alert skipped", alert });
+});
+
+router.post("/api/alerts/:id/replay", requireRole("moderator"), (req, res) => {
+  const alert = alertQueue.replay(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ success: false, message: "Alert not found" });
+  }
+  res.json({ success: true, message: "Alert queued again", alert });
+});
+
+router.post("/api/alerts/pause", requireRole("moderator"), (req, res) => {
+  alertQueue.setPaused(true);
+  res.json({ success: true, message: "Alert queue paused" });
+});
+
+router.post("/api/alerts/resume", requireRole("moderator"), (req, res) => {
+  alertQueue.setPaused(false);
+  res.json({ success: true, message: "Alert queue resumed" });
+});
+
+router.post("/api/alerts/clear", requireRole("moderator"), (req, res) => {
+  const cleared = alertQueue.clear();
+  res.json({ success: true, message: `Cleared ${cleared} queued alert(s)`, cleared });
+});
+
+// Outbound webhooks; the secret is only in the response that creates one
+router.get("/api/webhooks", requireRole("streamer"), (req, res) => {
+  res.json({ webhooks: webhookManager.getWebhooks() });
+});
+
+router.get("/api/webhooks/deliveries", requireRole("streamer"), (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const statuses = ["pending", "retrying", "delivered", "dead"];
+  if (
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > 200 ||
+    (req.query.status !== undefined && !statuses.includes(req.query.status))
+  ) {
+    return res.status(400).json({ success: false, message: "Invalid query parameters" });
+  }
+  res.json({
+    deliveries: webhookManager.getDeliveries({
+      webhookId: req.query.webhookId || null,
+      status: req.query.status || null,
+      limit,
+    }),
+  });
+});
+
+router.post("/api/webhooks/deliveries/:id/retry", requireRole("streamer"), (req, res) => {
+  try {
+    const delivery = webhookManager.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: "Dead letter not found" });
+    }
+    res.json({ success: true, message: "Delivery queued", delivery });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/api/webhooks", requireRole("streamer"), (req, res) => {
+  try {
+    const webhook = webhookManager.createWebhook(req.body);
+    res.status(201).json({ success: true, message: "Webhook created", webhook });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/api/webhooks/:id", requireRole("streamer"), (req, res) => {
+  try {
+    const webhook = webhookManager.updateWebhook(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+    res.json({ success: true, message: "Webhook updated", webhook });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/api/webhooks/:id", requireRole("streamer"), (req, res) => {
+  if (!webhookManager.deleteWebhook(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Webhook not found" });
+  }
+  res.json({ success: true, message: "Webhook removed" });
+});
+
+router.post("/api/webhooks/:id/test", requireRole("streamer"), (req, res) => {
+  const delivery = webhookManager.sendTest(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, message: "Webhook not found" });
+  }
+  res.json({ success: true, message: "Test delivery queued", delivery });
+});
+
+// Scheduled time multipliers ("happy hours")
+router.get("/api/multipliers", (req, res) => {
+  res.json(multiplierScheduler.getStatus());
+});
+
+router.post("/api/multipliers", requireRole("streamer"), (req, res) => {
+  try {
+    const window = multiplierScheduler.createWindow(req.body);
+    res.status(201).json({ success: true, message: "Multiplier window scheduled", window });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/api/multipliers/:id", requireRole("streamer"), (req, res) => {
+  try {
+    const window = multiplierScheduler.updateWindow(req.params.id, req.body);
+    if (!window) {
+      return res.status(404).json({ success: false, message: "Multiplier window not found" });
+    }
+    res.json({ success: true, message: "Multiplier window updated", window });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/api/multipliers/:id", requireRole("streamer"), (req, res) => {
+  if (!multiplierScheduler.deleteWindow(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Multiplier window not found" });
+  }
+  res.json({ success: true, message: "Multiplier window removed" });
+});
+
+// Goals and milestone ladders
+router.get("/api/goals", (req, res) => {
+  res.json({ goals: goalManager.getGoals(), metrics: GOAL_METRICS });
+});
+
+router.get("/api/goals/:id", (req, res) => {
+  const goal = goalManager.getGoal(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ success: false, message: "Goal not found" });
+  }
+  res.json(goal);
+});
+
+router.post("/api/goals", requireRole("streamer"), (req, res) => {
+  try {
+    const goal = goalManager.createGoal(req.body);
+    res.status(201).json({ success: true, message: "Goal created", goal });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put("/api/goals/:id", requireRole("streamer"), (req, res) => {
+  try {
+    const goal = goalManager.updateGoal(req.params.id, req.body);
+    if (!goal) {
+      return res.status(404).json({ success: false, message: "Goal not found" });
+    }
+    res.json({ success: true, message: "Goal updated", goal });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/api/goals/:id/reset", requireRole("streamer"), (req, res) => {
+  const goal = goalManager.resetGoal(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ success: false, message: "Goal not found" });
+  }
+  res.json({ success: true, message: "Goal reset", goal });
+});
+
+router.delete("/api/goals/:id", requireRole("streamer"), (req, res) => {
+  if (!goalManager.deleteGoal(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Goal not found" });
+  }
+  res.json({ success: true, message: "Goal removed" });
+});
+
+router.get("/api/leaderboard", (req, res) => {
+  const rankBy = req.query.rankBy || "gifts";
+  const period = req.query.period || "all_time";
+  const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+  const windowHours = req.query.windowHours === undefined ? null : Number(req.query.windowHours);
+
+  if (
+    !LEADERBOARD_RANKINGS.includes(rankBy) ||
+    !LEADERBOARD_PERIODS.includes(period) ||
+    (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 100)) ||
+    (windowHours !== null && (!Number.isFinite(windowHours) || windowHours <= 0))
+  ) {
+    return res.status(400).json({ success: false, message: "Invalid query parameters" });
+  }
+
+  res.json(leaderboardManager.getLeaderboard({ rankBy, period, limit, windowHours }));
+});
+
+// State snapshots
+router.get("/api/state/snapshots", requireRole("streamer"), async (req, res) => {
+  try {
+    res.json({ snapshots: await stateStore.listSnapshots(), ...stateStore.getStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post("/api/state/snapshots/:name/restore", requireRole("streamer"), async (req, res) => {
+  try {
+    const result = await storage.restoreSnapshot(req.params.name, { actor: req.auth });
+    res.json({
+      success: true,
+      message: `Restored ${result.restored}`,
+      ...result,
+      timer: timerManager.getState(),
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ success: false, message: "Snapshot not found" });
+    }
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// What happened to the timer at startup, and a chance to change it
+router.get("/api/state/restore-report", requireRole("moderator"), (req, res) => {
+  res.json({ report: restoreManager.getReport() });
+});
+
+router.post("/api/state/restore-report/confirm", requireRole("streamer"), (req, res) => {
+  const report = restoreManager.confirm(req.auth.name);
+  if (!report) {
+    return res.status(404).json({ success: false, message: "No restore report yet" });
+  }
+  res.json({ success: true, message: "Restore confirmed", report });
+});
+
+router.post("/api/state/restore-report/override", requireRole("streamer"), (req, res) => {
+  const policy = req.body?.policy;
+  if (!RESTORE_POLICIES.includes(policy)) {
+    return res.status(400).json({
+      success: false,
+      message: `policy must be one of: ${RESTORE_POLICIES.join(", ")}`,
+    });
+  }
+  try {
+    const report = restoreManager.override(policy, req.auth.name);
+    if (!report) {
+      return res.status(404).json({ success: false, message: "No restore report yet" });
+    }
+    res.json({ success: true, message: `Restore redone with policy ${policy}`, report });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Token management
+router.get("/api/auth/me", requireRole("overlay"), (req, res) => {
+  res.json(req.auth);
+});
+
+router.get("/api/auth/tokens", requireRole("streamer"), (req, res) => {
+  res.json({ tokens: authManager.listTokens(), roles: Object.keys(ROLE_LEVELS) });
+});
+
+router.post("/api/auth/tokens", requireRole("streamer"), (req, res) => {
+  const { name, role } = req.body ?? {};
+  if (typeof name !== "string" || !name.trim() || !ROLE_LEVELS[role]) {
+    return res.status(400).json({
+      success: false,
+      message: `name and role are required (role one of: ${Object.keys(ROLE_LEVELS).join(", ")})`,
+    });
+  }
+  try {
+    const token = authManager.createToken(name, role);
+    res.status(201).json({
+      success: true,
+      message: "Token created - store it now, it will not be shown again",
+      token,
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete("/api/auth/tokens/:id", requireRole("streamer"), (req, res) => {
+  if (!authManager.revokeToken(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Token not found" });
+  }
+  res.json({ success: true, message: "Token revoked" });
+});
+
 // Development endpoints for testing subscription events
 // Only enable these in development/testing
+router.use("/api/dev", requireRole("streamer"));
+
 router.post("/api/dev/simulate-sub", (req, res) => {
   const {
     username = "TestUser",
@@ -108,10 +596,13 @@ router.post("/api/dev/simulate-sub", (req, res) => {
     count = 1,
     recipient = null,
     months = null,
-  } = req.body;
+    viewers = 50,
+  } = req.body ?? {};
 
   try {
-    const result = simulateSubscription(username, tier, type, count, recipient, months);
+    const result = NOTICE_SIMULATIONS[type]
+      ? simulateUserNotice(username, tier, type, count, recipient, viewers)
+      : simulateSubscription(username, tier, type, count, recipient, months);
     res.json(result);
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -171,6 +662,10 @@ const simulateSubscription = (username, tier, type, count, recipient, months) =>
       throw new Error("Invalid type");
   }
 
+  // Scheduled multipliers apply to simulations exactly as they do to real subs
+  const { timeToAdd: multipliedTime, multiplier } = applyMultiplier(totalTime, type);
+  totalTime = multipliedTime;
+
   // Create subscriber details including all the subscription information
   const subscriberDetails = {
     username,
@@ -180,6 +675,7 @@ const simulateSubscription = (username, tier, type, count, recipient, months) =>
     msgId,
     subPlan,
     timeAdded: totalTime,
+    multiplier,
   };
 
   // Add optional fields
@@ -191,7 +687,7 @@ const simulateSubscription = (username, tier, type, count, recipient, months) =>
   }
 
   // Add time to timer with complete subscriber details
-  timerManager.addTime(totalTime, subscriberDetails);
+  const event = timerManager.addTime(totalTime, subscriberDetails, "simulation");
 
   // Create and broadcast the subscription event for the frontend
   const subscriptionData = {
@@ -203,6 +699,7 @@ const simulateSubscription = (username, tier, type, count, recipient, months) =>
     timeAdded: totalTime,
     subCount: count,
     subType,
+    multiplier,
   };
 
   // Add optional fields to subscription data
@@ -222,21 +719,124 @@ const simulateSubscription = (username, tier, type, count, recipient, months) =>
       count > 1 ? ` x${count}` : ""
     }) - Added ${totalTime}s`,
     data: subscriptionData,
+    eventId: event?.id ?? null,
+  };
+};
+
+// Simulated types that run through the real USERNOTICE handler in twitch.js
+const NOTICE_SIMULATIONS = {
+  anongift: "anonsubgift",
+  mysterygift: "submysterygift",
+  anonmysterygift: "anonsubmysterygift",
+  giftupgrade: "giftpaidupgrade",
+  anongiftupgrade: "anongiftpaidupgrade",
+  primeupgrade: "primepaidupgrade",
+  payforward: "communitypayforward",
+  raid: "raid",
+};
+
+const SIMULATED_SUB_PLANS = { 1: "1000", 2: "2000", 3: "3000", prime: "Prime" };
+
+// Build the IRC tags Twitch would send, so the simulation exercises the same code path
+const buildNoticeTags = (msgId, username, extraTags = {}) => ({
+  id: `sim-${crypto.randomUUID()}`,
+  "msg-id": msgId,
+  "display-name": username,
+  login: String(username).toLowerCase(),
+  ...extraTags,
+});
+
+const simulateUserNotice = (username, tier, type, count, recipient, viewers) => {
+  const msgId = NOTICE_SIMULATIONS[type];
+  const subPlan = SIMULATED_SUB_PLANS[tier];
+  if (!subPlan && type !== "raid") {
+    throw new Error("Invalid tier");
+  }
+
+  const giftCount = Math.max(1, parseInt(count) || 1);
+  const originId = `sim-origin-${crypto.randomUUID()}`;
+  const tags = buildNoticeTags(msgId, username, {
+    "msg-param-origin-id": originId,
+    "msg-param-sub-plan": subPlan,
+    "msg-param-mass-gift-count": String(giftCount),
+    "msg-param-recipient-display-name": recipient || "LuckyViewer",
+    "msg-param-sender-name": "OriginalGifter",
+    "msg-param-prior-gifter-display-name": "OriginalGifter",
+    "msg-param-displayName": username,
+    "msg-param-viewerCount": String(viewers),
+  });
+
+  const data = twitchManager.handleUserNotice(tags, "simulation");
+  if (!data) {
+    throw new Error(`Failed to simulate ${type}`);
+  }
+  let totalTime = data.timeAdded;
+
+  // A mystery gift is only the header; Twitch follows it with one subgift per recipient
+  if (type === "mysterygift" || type === "anonmysterygift") {
+    for (let i = 1; i <= giftCount; i++) {
+      const giftTags = buildNoticeTags(
+        type === "anonmysterygift" ? "anonsubgift" : "subgift",
+        username,
+        {
+          "msg-param-sub-plan": subPlan,
+          "msg-param-origin-id": originId,
+          "msg-param-recipient-display-name": `${recipient || "Recipient"}${i}`,
+        }
+      );
+      const gift = twitchManager.handleUserNotice(giftTags, "simulation");
+      totalTime += gift ? gift.timeAdded : 0;
+    }
+  }
+
+  return {
+    success: true,
+    message: `Simulated ${type} for ${username} - Added ${totalTime}s`,
+    data,
   };
 };
 
 // Convenience endpoints for common scenarios
 router.post("/api/dev/simulate-gift-bomb", (req, res) => {
-  const { username = "GiftBomber", tier = "1", count = 10 } = req.body;
+  const { username = "GiftBomber", tier = "1", count = 10 } = req.body ?? {};
 
   try {
-    const result = simulateSubscription(username, tier, "gift", count, null, null);
+    // Runs as a mystery gift plus its follow-ups so overlays receive a single gift_bomb
+    const result = simulateUserNotice(username, tier, "mysterygift", count, null, null);
     res.json(result);
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
   }
 });
 
+router.post("/api/dev/simulate-cheer", (req, res) => {
+  const { username = "TestCheerer", bits: rawBits = 100, message = "" } = req.body ?? {};
+  const bits = typeof rawBits === "string" ? Number(rawBits) : rawBits;
+
+  if (!Number.isInteger(bits) || bits <= 0) {
+    return res.status(400).json({ success: false, message: "Invalid bits value" });
+  }
+
+  const data = twitchManager.handleCheer(
+    buildNoticeTags("cheer", username, { bits: String(bits) }),
+    message,
+    "simulation"
+  );
+  if (!data) {
+    return res.json({
+      success: true,
+      message: `Simulated cheer of ${bits} bits from ${username} - below minimum of ${timerManager.getSettings().minimumBits} bits, no time added`,
+      data: null,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Simulated cheer of ${bits} bits from ${username} - Added ${data.timeAdded}s`,
+    data,
+  });
+});
+
 router.post("/api/dev/simulate-random-sub", (req, res) => {
   const usernames = [
     "TestUser1",
@@ -0,0 +1,154 @@
+import { storage } from "./storage.js";
+import { timerManager } from "./timer.js";
+
+class SettingsHistory {
+  constructor() {
+    this.versions = [];
+    this.maxVersions = 500;
+    this.broadcastCallback = null;
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [SettingsHistory] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setBroadcastCallback(callback) {
+    this.broadcastCallback = callback;
+  }
+
+  broadcast(data) {
+    if (this.broadcastCallback) {
+      try {
+        this.broadcastCallback(data);
+      } catch (error) {
+        this.log("error", "Broadcast failed", error.message);
+      }
+    }
+  }
+
+  // The storage backend has to be initialized first
+  async load() {
+    this.versions = (await storage.loadSettingsHistory()).filter(
+      (entry) => entry && Number.isInteger(entry.version) && entry.settings
+    );
+    this.prune();
+    this.log("info", `Loaded ${this.versions.length} settings version(s)`);
+  }
+
+  // Storage keeps every version; only the newest are held in memory. The baseline is kept so
+  // the oldest remaining version can still be diffed against it
+  prune() {
+    if (this.versions.length > this.maxVersions) {
+      this.versions.splice(1, this.versions.length - this.maxVersions);
+    }
+  }
+
+  append(entry) {
+    this.versions.push(entry);
+    storage.appendSettingsVersion(entry);
+  }
+
+  getLatestVersion() {
+    const last = this.versions[this.versions.length - 1];
+    return last ? last.version : 0;
+  }
+
+  // Every version keeps the full settings it produced, so any of them can be diffed or
+  // reverted to on its own. The very first change also records what it changed from.
+  // Anything else in the context (the preset applied, the version reverted to) is kept as-is
+  record({ changes, previousSettings, settings, actor = null, source = "api", ...context }) {
+    if (this.versions.length === 0) {
+      this.append({
+        version: 1,
+        timestamp: Date.now(),
+        actor: null,
+        source: "baseline",
+        changes: {},
+        settings: previousSettings,
+      });
+    }
+
+    const entry = {
+      version: this.getLatestVersion() + 1,
+      timestamp: Date.now(),
+      actor,
+      source,
+      ...context,
+      changes,
+      settings,
+    };
+    this.append(entry);
+    this.prune();
+
+    this.log(
+      "info",
+      `Settings version ${entry.version} by ${actor ? actor.name : "system"} (${source})`,
+      changes
+    );
+    return entry;
+  }
+
+  // Newest first, without the full settings so the list stays small
+  list({ limit = 50, offset = 0 } = {}) {
+    const versions = [...this.versions].reverse();
+    return {
+      total: versions.length,
+      latestVersion: this.getLatestVersion(),
+      offset,
+      limit,
+      versions: versions.slice(offset, offset + limit).map(({ settings, ...entry }) => entry),
+    };
+  }
+
+  getVersion(version) {
+    const numeric = Number(version);
+    return this.versions.find((entry) => entry.version === numeric) || null;
+  }
+
+  // Compares two versions; "to" defaults to the settings in effect right now
+  diff(fromVersion, toVersion = null) {
+    const from = this.getVersion(fromVersion);
+    const to = toVersion === null ? null : this.getVersion(toVersion);
+    if (!from || (toVersion !== null && !to)) return null;
+
+    const fromSettings = from.settings;
+    const toSettings = to ? to.settings : timerManager.getSettings();
+    const changes = {};
+    for (const key of new Set([...Object.keys(fromSettings), ...Object.keys(toSettings)])) {
+      if (fromSettings[key] !== toSettings[key]) {
+        changes[key] = { from: fromSettings[key], to: toSettings[key] };
+      }
+    }
+
+    return { from: from.version, to: to ? to.version : "current", changes };
+  }
+
+  // Applied through updateSettings(), so the restored values are broadcast like any other change
+  revert(version, actor = null) {
+    const entry = this.getVersion(version);
+    if (!entry) return null;
+
+    const latestBefore = this.getLatestVersion();
+    const settings = timerManager.updateSettings(entry.settings, {
+      actor,
+      source: "revert",
+      revertedTo: entry.version,
+    });
+    const newVersion = this.getLatestVersion();
+    const changed = newVersion !== latestBefore;
+
+    this.broadcast({
+      type: "settings_reverted",
+      revertedTo: entry.version,
+      version: changed ? newVersion : null,
+      settings,
+    });
+    return { revertedTo: entry.version, version: changed ? newVersion : null, settings };
+  }
+}
+
+export const settingsHistory = new SettingsHistory();
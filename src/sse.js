@@ -0,0 +1,218 @@
+import { alertQueue } from "./alerts.js";
+import { broadcastLog } from "./broadcastLog.js";
+import { MESSAGE_TOPICS } from "./websocket.js";
+
+// Server-Sent Events for clients that can only read an HTTP stream. Event ids are the broadcast
+// log's epoch and sequence number, so a client that reconnects with Last-Event-ID is sent what
+// it missed instead of a snapshot
+class SseManager {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeatInterval = null;
+    this.heartbeatIntervalMs = 15000;
+    this.retryMs = 3000;
+    this.snapshotProvider = null;
+    // Same split as the WebSocket: "sync" clients skip the per-second timer_update
+    this.protocols = ["tick", "sync"];
+    this.tickOnlyTypes = new Set(["timer_update"]);
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [SSE] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  // Returns the messages a new client needs to catch up, for a given protocol
+  setSnapshotProvider(provider) {
+    this.snapshotProvider = provider;
+  }
+
+  handleRequest(req, res) {
+    const protocol = this.protocols.includes(req.query.protocol) ? req.query.protocol : "tick";
+    // EventSource sends the header on reconnect; the query parameter is for the first connect
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId ?? null;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Stop nginx and friends from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = {
+      res,
+      protocolMode: protocol,
+      connectionTime: Date.now(),
+      lastActivity: Date.now(),
+      remoteAddress: req.socket.remoteAddress,
+    };
+    this.clients.add(client);
+    this.log(
+      "info",
+      `New client connected from ${client.remoteAddress}. Total clients: ${this.clients.size}`
+    );
+
+    req.on("close", () => {
+      this.clients.delete(client);
+      this.log("info", `Client disconnected. Remaining clients: ${this.clients.size}`);
+    });
+
+    // Messages that aren't broadcasts carry the latest id, so a reconnect picks up from there
+    this.send(client, this.currentId(), {
+      type: "connection_established",
+      timestamp: Date.now(),
+      protocol,
+    });
+
+    const missed = this.getMissedMessages(lastEventId);
+    if (missed) {
+      this.log(
+        "info",
+        `Resuming client after ${lastEventId}, replaying ${missed.length} message(s)`
+      );
+      for (const message of missed) {
+        if (this.skips(client, message)) continue;
+        this.send(client, this.idFor(message.seq), message);
+      }
+      this.send(client, this.currentId(), alertQueue.getStatusMessage());
+    } else if (typeof this.snapshotProvider === "function") {
+      try {
+        for (const data of this.snapshotProvider(protocol)) {
+          if (this.skips(client, data)) continue;
+          this.send(client, this.currentId(), data);
+        }
+      } catch (error) {
+        this.log("warn", "Failed to send snapshot", error.message);
+      }
+    }
+
+    this.startHeartbeat();
+  }
+
+  idFor(seq) {
+    return `${broadcastLog.epoch}-${seq}`;
+  }
+
+  currentId() {
+    return this.idFor(broadcastLog.sequence);
+  }
+
+  // Everything after lastEventId, or null when the gap can't be filled from the broadcast log
+  getMissedMessages(lastEventId) {
+    if (typeof lastEventId !== "string" || !lastEventId) return null;
+
+    const [epoch, rawSequence] = lastEventId.split("-");
+    const { messages } = broadcastLog.getMissed(epoch, Number(rawSequence));
+    return messages || null;
+  }
+
+  // The stream has no login, so admin-topic messages (settings diffs, restore reports) stay on
+  // the authenticated WebSocket
+  skips(client, data) {
+    if (MESSAGE_TOPICS[data.type] === "admin") return true;
+    return this.tickOnlyTypes.has(data.type) && client.protocolMode === "sync";
+  }
+
+  send(client, id, data) {
+    try {
+      client.res.write(`id: ${id}\nevent: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`);
+      client.lastActivity = Date.now();
+      return true;
+    } catch (error) {
+      this.log("warn", "Failed to send message to client", error.message);
+      this.removeClient(client);
+      return false;
+    }
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) return;
+    try {
+      client.res.end();
+    } catch (error) {
+      this.log("warn", "Error closing client stream", error.message);
+    }
+  }
+
+  // Takes a message already numbered by the broadcast log
+  broadcast(data) {
+    if (!data) return;
+
+    const id = this.idFor(data.seq);
+    let sentCount = 0;
+    for (const client of this.clients) {
+      if (this.skips(client, data)) continue;
+      if (this.send(client, id, data)) sentCount++;
+    }
+    return { sent: sentCount };
+  }
+
+  // Goes only to clients on one protocol and isn't numbered or kept for replay
+  sendToProtocol(protocol, data) {
+    const id = this.currentId();
+    let sentCount = 0;
+    for (const client of this.clients) {
+      if (client.protocolMode !== protocol) continue;
+      if (this.send(client, id, data)) sentCount++;
+    }
+    return { sent: sentCount };
+  }
+
+  // Comment lines keep proxies from timing out an idle stream and are ignored by EventSource
+  startHeartbeat() {
+    if (this.heartbeatInterval) return;
+    this.heartbeatInterval = setInterval(() => {
+      for (const client of this.clients) {
+        try {
+          client.res.write(`: heartbeat ${Date.now()}\n\n`);
+        } catch (error) {
+          this.removeClient(client);
+        }
+      }
+    }, this.heartbeatIntervalMs);
+    this.heartbeatInterval.unref();
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  getStats() {
+    const now = Date.now();
+    const protocolCounts = Object.fromEntries(this.protocols.map((protocol) => [protocol, 0]));
+    for (const client of this.clients) {
+      protocolCounts[client.protocolMode]++;
+    }
+
+    return {
+      totalClients: this.clients.size,
+      protocols: protocolCounts,
+      heartbeatInterval: this.heartbeatIntervalMs,
+      lastEventId: broadcastLog.sequence > 0 ? this.currentId() : null,
+      clients: Array.from(this.clients, (client) => ({
+        protocol: client.protocolMode,
+        connectionTime: client.connectionTime,
+        connectionAge: now - client.connectionTime,
+        timeSinceLastActivity: now - client.lastActivity,
+      })),
+    };
+  }
+
+  shutdown() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    for (const client of this.clients) {
+      this.removeClient(client);
+    }
+    this.log("info", "SSE streams closed");
+  }
+}
+
+export const sseManager = new SseManager();
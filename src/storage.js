@@ -0,0 +1,521 @@
+import fs from "fs/promises";
+import path from "path";
+import { stateStore } from "./persistence.js";
+
+export const STORAGE_BACKENDS = ["json", "sqlite"];
+
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [${level.toUpperCase()}] [Storage] ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// One JSON entry per line; skip anything a crash may have left half-written
+const parseLedgerLines = (data) => {
+  const events = [];
+  let skipped = 0;
+  for (const line of data.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      skipped++;
+    }
+  }
+  return { events, skipped };
+};
+
+const readJsonLines = async (file, description) => {
+  let data;
+  try {
+    data = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      log("info", `No ${description} found, starting a new one`);
+      return [];
+    }
+    log("error", `Failed to read ${description}`, error.message);
+    return [];
+  }
+
+  const { events, skipped } = parseLedgerLines(data);
+  if (skipped > 0) {
+    log("warn", `Skipped ${skipped} unreadable ${description} line(s)`);
+  }
+  return events;
+};
+
+// timer-state.json plus snapshots for state, event-ledger.jsonl for events and
+// settings-history.jsonl for settings versions
+class JsonStorage {
+  constructor({ stateFile, ledgerFile, settingsHistoryFile }) {
+    this.name = "json";
+    this.stateFile = stateFile;
+    this.ledgerFile = ledgerFile;
+    this.settingsHistoryFile = settingsHistoryFile;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {}
+
+  async loadState() {
+    const state = await stateStore.load();
+    this.lastLoadSource = stateStore.lastLoadSource;
+    return state;
+  }
+
+  saveState(state) {
+    return stateStore.save(state);
+  }
+
+  loadEvents() {
+    return readJsonLines(this.ledgerFile, "event ledger");
+  }
+
+  appendEvent(entry) {
+    this.appendLine(this.ledgerFile, entry, `event ${entry.id} to ledger`);
+  }
+
+  loadSettingsHistory() {
+    return readJsonLines(this.settingsHistoryFile, "settings history");
+  }
+
+  appendSettingsVersion(entry) {
+    this.appendLine(this.settingsHistoryFile, entry, `settings version ${entry.version}`);
+  }
+
+  appendLine(file, entry, description) {
+    // Chain writes so lines land on disk in the order they were recorded
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(file, `${JSON.stringify(entry)}\n`))
+      .catch((error) => {
+        log("error", `Failed to append ${description}`, error.message);
+      });
+  }
+
+  async flush() {
+    await this.writeQueue;
+    await stateStore.writeQueue;
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  getStats() {
+    return { location: this.stateFile };
+  }
+}
+
+// Each migration runs once, in order, inside a transaction
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial schema",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE timer_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          data TEXT NOT NULL,
+          saved_at INTEGER NOT NULL
+        );
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE events (
+          id INTEGER PRIMARY KEY,
+          timestamp INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          source TEXT NOT NULL,
+          username TEXT,
+          tier TEXT,
+          seconds INTEGER,
+          previous_time INTEGER,
+          time_remaining INTEGER,
+          details TEXT
+        );
+        CREATE INDEX events_timestamp ON events (timestamp);
+        CREATE INDEX events_username ON events (username COLLATE NOCASE);
+        CREATE TABLE meta (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "settings history",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE settings_history (
+          version INTEGER PRIMARY KEY,
+          timestamp INTEGER NOT NULL,
+          source TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+      `);
+    },
+  },
+];
+
+// An embedded database; settings get their own rows so single values can be read and edited
+class SqliteStorage {
+  constructor({ databaseFile, stateFile, ledgerFile, settingsHistoryFile }) {
+    this.name = "sqlite";
+    this.databaseFile = databaseFile;
+    this.stateFile = stateFile;
+    this.ledgerFile = ledgerFile;
+    this.settingsHistoryFile = settingsHistoryFile;
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      ({ default: Database } = await import("better-sqlite3"));
+    } catch (error) {
+      throw new Error(`The sqlite backend needs the better-sqlite3 package (${error.message})`);
+    }
+
+    this.db = new Database(this.databaseFile);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("synchronous = FULL");
+    this.migrate();
+    this.prepareStatements();
+    await this.importJsonFiles();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+    const { current } = this.db
+      .prepare("SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations")
+      .get();
+
+    for (const migration of MIGRATIONS.filter((m) => m.version > current)) {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db
+          .prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+          .run(migration.version, migration.name, Date.now());
+      })();
+      log("info", `Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  prepareStatements() {
+    this.statements = {
+      getState: this.db.prepare("SELECT data FROM timer_state WHERE id = 1"),
+      putState: this.db.prepare(
+        "INSERT INTO timer_state (id, data, saved_at) VALUES (1, ?, ?) " +
+          "ON CONFLICT (id) DO UPDATE SET data = excluded.data, saved_at = excluded.saved_at"
+      ),
+      getSettings: this.db.prepare("SELECT key, value FROM settings"),
+      putSetting: this.db.prepare(
+        "INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?) " +
+          "ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at " +
+          "WHERE settings.value != excluded.value"
+      ),
+      getEvents: this.db.prepare("SELECT * FROM events ORDER BY id"),
+      putEvent: this.db.prepare(
+        "INSERT INTO events (id, timestamp, type, source, username, tier, seconds, previous_time, " +
+          "time_remaining, details) VALUES (@id, @timestamp, @type, @source, @username, @tier, " +
+          "@seconds, @previousTime, @timeRemaining, @details)"
+      ),
+      countEvents: this.db.prepare("SELECT COUNT(*) AS count FROM events"),
+      getSettingsHistory: this.db.prepare("SELECT data FROM settings_history ORDER BY version"),
+      putSettingsVersion: this.db.prepare(
+        "INSERT INTO settings_history (version, timestamp, source, data) " +
+          "VALUES (@version, @timestamp, @source, @data)"
+      ),
+      getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+      putMeta: this.db.prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) " +
+          "ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+      ),
+    };
+  }
+
+  // Carry over an existing JSON install the first time the database is opened
+  async importJsonFiles() {
+    if (this.statements.getMeta.get("json_import")) return;
+
+    const result = { importedAt: Date.now(), state: false, events: 0, settingsVersions: 0 };
+    const hasData = this.statements.getState.get() || this.statements.countEvents.get().count > 0;
+    if (!hasData) {
+      let state = null;
+      try {
+        state = stateStore.parse(await fs.readFile(this.stateFile, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          log("warn", `Not importing ${path.basename(this.stateFile)}`, error.message);
+        }
+      }
+
+      let events = [];
+      try {
+        events = parseLedgerLines(await fs.readFile(this.ledgerFile, "utf8")).events;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          log("warn", `Not importing ${path.basename(this.ledgerFile)}`, error.message);
+        }
+      }
+
+      let versions = [];
+      try {
+        versions = parseLedgerLines(await fs.readFile(this.settingsHistoryFile, "utf8")).events;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          log("warn", `Not importing ${path.basename(this.settingsHistoryFile)}`, error.message);
+        }
+      }
+
+      this.db.transaction(() => {
+        if (state) {
+          this.writeState(state);
+          result.state = true;
+        }
+        for (const entry of events) {
+          this.insertEvent(entry);
+        }
+        result.events = events.length;
+        for (const entry of versions) {
+          this.insertSettingsVersion(entry);
+        }
+        result.settingsVersions = versions.length;
+      })();
+    }
+
+    this.statements.putMeta.run("json_import", JSON.stringify(result));
+    if (result.state || result.events > 0 || result.settingsVersions > 0) {
+      log(
+        "info",
+        `Imported ${result.state ? "timer state, " : ""}${result.events} event(s) and ` +
+          `${result.settingsVersions} settings version(s) from JSON files`
+      );
+    }
+  }
+
+  writeState(state) {
+    const { settings, ...rest } = state;
+    const now = Date.now();
+    this.statements.putState.run(stateStore.serialize(rest), now);
+    for (const [key, value] of Object.entries(settings || {})) {
+      this.statements.putSetting.run(key, JSON.stringify(value), now);
+    }
+  }
+
+  async loadState() {
+    try {
+      const row = this.statements.getState.get();
+      if (row) {
+        const state = stateStore.parse(row.data);
+        const settings = {};
+        for (const { key, value } of this.statements.getSettings.all()) {
+          settings[key] = JSON.parse(value);
+        }
+        state.settings = settings;
+        this.lastLoadSource = path.basename(this.databaseFile);
+        return state;
+      }
+      log("info", "No saved state in the database");
+    } catch (error) {
+      log("error", "Saved state in the database is unreadable, trying snapshots", error.message);
+    }
+
+    const state = await stateStore.loadNewestSnapshot();
+    this.lastLoadSource = stateStore.lastLoadSource;
+    return state;
+  }
+
+  async saveState(state) {
+    this.db.transaction(() => this.writeState(state))();
+    await stateStore.saveSnapshotIfDue(state);
+  }
+
+  async loadEvents() {
+    return this.statements.getEvents.all().map((row) => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      type: row.type,
+      source: row.source,
+      username: row.username,
+      tier: row.tier,
+      seconds: row.seconds,
+      previousTime: row.previous_time,
+      timeRemaining: row.time_remaining,
+      details: row.details ? JSON.parse(row.details) : null,
+    }));
+  }
+
+  insertEvent(entry) {
+    this.statements.putEvent.run({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      type: entry.type,
+      source: entry.source,
+      username: entry.username ?? null,
+      tier: entry.tier ?? null,
+      seconds: entry.seconds ?? null,
+      previousTime: entry.previousTime ?? null,
+      timeRemaining: entry.timeRemaining ?? null,
+      details: entry.details ? JSON.stringify(entry.details) : null,
+    });
+  }
+
+  appendEvent(entry) {
+    try {
+      this.insertEvent(entry);
+    } catch (error) {
+      log("error", `Failed to store event ${entry.id}`, error.message);
+    }
+  }
+
+  async loadSettingsHistory() {
+    return this.statements.getSettingsHistory.all().map((row) => JSON.parse(row.data));
+  }
+
+  insertSettingsVersion(entry) {
+    this.statements.putSettingsVersion.run({
+      version: entry.version,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      data: JSON.stringify(entry),
+    });
+  }
+
+  appendSettingsVersion(entry) {
+    try {
+      this.insertSettingsVersion(entry);
+    } catch (error) {
+      log("error", `Failed to store settings version ${entry.version}`, error.message);
+    }
+  }
+
+  async flush() {
+    await stateStore.writeQueue;
+  }
+
+  async close() {
+    await this.flush();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  getStats() {
+    if (!this.db) {
+      return { location: this.databaseFile, schemaVersion: null };
+    }
+    const { version } = this.db
+      .prepare("SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations")
+      .get();
+    return { location: this.databaseFile, schemaVersion: version };
+  }
+}
+
+class Storage {
+  constructor() {
+    this.backend = null;
+    // Set once shutdown has closed the backend; late writes are dropped with a warning
+    this.closed = false;
+  }
+
+  // Picks the backend; everything else goes through the methods below
+  async init({ backend = "json", ...paths }) {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+      throw new Error(
+        `Unknown storage backend "${backend}" (expected ${STORAGE_BACKENDS.join(" or ")})`
+      );
+    }
+
+    stateStore.setPaths(paths.stateFile, paths.backupDir);
+    this.backend = backend === "sqlite" ? new SqliteStorage(paths) : new JsonStorage(paths);
+    await this.backend.init();
+    log("info", `Using ${backend} storage`);
+  }
+
+  get lastLoadSource() {
+    return this.backend?.lastLoadSource ?? null;
+  }
+
+  loadState() {
+    return this.backend.loadState();
+  }
+
+  saveState(state) {
+    if (this.closed) {
+      return Promise.reject(new Error("Storage is closed"));
+    }
+    return this.backend.saveState(state);
+  }
+
+  loadEvents() {
+    return this.backend.loadEvents();
+  }
+
+  appendEvent(entry) {
+    if (!this.backend) return;
+    if (this.closed) {
+      log("warn", `Storage is closed, event ${entry.id} was not stored`);
+      return;
+    }
+    this.backend.appendEvent(entry);
+  }
+
+  loadSettingsHistory() {
+    return this.backend.loadSettingsHistory();
+  }
+
+  appendSettingsVersion(entry) {
+    if (!this.backend) return;
+    if (this.closed) {
+      log("warn", `Storage is closed, settings version ${entry.version} was not stored`);
+      return;
+    }
+    this.backend.appendSettingsVersion(entry);
+  }
+
+  flush() {
+    return this.backend ? this.backend.flush() : Promise.resolve();
+  }
+
+  close() {
+    if (!this.backend || this.closed) return Promise.resolve();
+    this.closed = true;
+    return this.backend.close();
+  }
+
+  // The current state is snapshotted before it gets replaced
+  async restoreSnapshot(name, context = {}) {
+    await this.flush();
+    // Reading the current state shouldn't change what startup reports it loaded from
+    const { lastLoadSource } = this.backend;
+    const current = await this.backend.loadState();
+    this.backend.lastLoadSource = lastLoadSource;
+    return stateStore.restoreSnapshot(name, current, context);
+  }
+
+  getStats() {
+    return {
+      backend: this.backend?.name ?? null,
+      ...(this.backend ? this.backend.getStats() : {}),
+      closed: this.closed,
+      lastLoadSource: this.lastLoadSource,
+      snapshots: stateStore.getStats(),
+    };
+  }
+}
+
+export const storage = new Storage();
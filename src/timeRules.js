@@ -0,0 +1,43 @@
+import { multiplierScheduler } from "./multipliers.js";
+
+// Tier lookup shared by every notice that carries a sub plan; null for unknown plans
+export const getSubTierTime = (subPlan, settings) => {
+  switch (subPlan) {
+    case "1000":
+      return { timeToAdd: settings.regularSubTime, tierName: "Tier 1" };
+    case "2000":
+      return { timeToAdd: settings.tier2SubTime, tierName: "Tier 2" };
+    case "3000":
+      return { timeToAdd: settings.tier3SubTime, tierName: "Tier 3" };
+    case "Prime":
+      return { timeToAdd: settings.primeSubTime, tierName: "Prime" };
+    default:
+      return null;
+  }
+};
+
+// Bits are credited in proportion to 100-bit units; anything under the minimum adds nothing
+export const calculateCheerTime = (bits, settings) => {
+  if (!Number.isFinite(bits) || bits <= 0 || bits < settings.minimumBits) {
+    return 0;
+  }
+  return Math.floor((bits / 100) * settings.bitsTimePer100);
+};
+
+// Raids earn raidTime for every full raidViewersPerUnit viewers once past the minimum
+export const calculateRaidTime = (viewers, settings) => {
+  if (
+    !Number.isFinite(viewers) ||
+    viewers < settings.minimumRaidViewers ||
+    settings.raidViewersPerUnit <= 0
+  ) {
+    return 0;
+  }
+  return Math.floor(viewers / settings.raidViewersPerUnit) * settings.raidTime;
+};
+
+// Every time rule goes through here so scheduled multipliers apply the same way everywhere
+export const applyMultiplier = (seconds, eventType) => {
+  const multiplier = multiplierScheduler.getMultiplier(eventType);
+  return { timeToAdd: Math.floor(seconds * multiplier), multiplier };
+};
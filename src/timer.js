@@ -1,15 +1,25 @@
-import { defaultSettings } from "./types.js";
+import { defaultSettings, validateSettings } from "./types.js";
 
 class TimerManager {
   constructor() {
+    // The timer is a wall-clock deadline while running and a frozen remainder while paused,
+    // so interval jitter and event-loop stalls can't make it drift
     this.timerState = {
-      timeRemaining: 3600 * 16, // Start with 16 hours
+      endsAt: null,
+      remainingMs: 3600 * 16 * 1000, // Start with 16 hours
+      // Time the timer has actually run for, which the subathon length limit counts against
+      elapsedMs: 0,
+      runningSince: null,
       isActive: false,
       settings: { ...defaultSettings },
     };
     this.timerInterval = null;
     this.broadcastCallback = null;
+    // Per-second ticks skip the broadcast pipeline (numbering, replay, alerts, webhooks)
+    this.tickCallback = null;
     this.saveStateCallback = null;
+    this.eventLogCallback = null;
+    this.settingsChangeCallback = null;
     this.errorCount = 0;
     this.maxErrors = 10;
     this.lastBroadcast = null;
@@ -28,10 +38,32 @@ class TimerManager {
     this.broadcastCallback = callback;
   }
 
+  setTickCallback(callback) {
+    this.tickCallback = callback;
+  }
+
   setSaveStateCallback(callback) {
     this.saveStateCallback = callback;
   }
 
+  setEventLogCallback(callback) {
+    this.eventLogCallback = callback;
+  }
+
+  setSettingsChangeCallback(callback) {
+    this.settingsChangeCallback = callback;
+  }
+
+  recordEvent(event) {
+    if (!this.eventLogCallback) return null;
+    try {
+      return this.eventLogCallback(event);
+    } catch (error) {
+      this.log("error", "Failed to record event in ledger", error.message);
+      return null;
+    }
+  }
+
   broadcast(data) {
     if (this.broadcastCallback) {
       try {
@@ -49,9 +81,116 @@ class TimerManager {
     }
   }
 
+  sendTick(data) {
+    if (!this.tickCallback) return;
+    try {
+      this.tickCallback(data);
+      this.lastBroadcast = Date.now();
+    } catch (error) {
+      this.log("error", "Failed to send tick", error.message);
+    }
+  }
+
+  // Time left including anything banked above the cap; the deadline is when the timer hits zero
+  getTotalRemainingMs() {
+    if (this.timerState.isActive && this.timerState.endsAt !== null) {
+      return Math.max(0, this.timerState.endsAt - Date.now());
+    }
+    return this.timerState.remainingMs;
+  }
+
+  getCapMs() {
+    const { maxTimerSeconds } = this.timerState.settings;
+    return maxTimerSeconds > 0 ? maxTimerSeconds * 1000 : Infinity;
+  }
+
+  // What the clock shows. Overflow stays banked and drains in as the clock counts down,
+  // which falls out of keeping one deadline for the total
+  getRemainingMs() {
+    return Math.min(this.getTotalRemainingMs(), this.getCapMs());
+  }
+
+  getBankedMs() {
+    return this.getTotalRemainingMs() - this.getRemainingMs();
+  }
+
+  // Whole seconds left, rounded up so the display only changes once a full second has passed
+  getTimeRemaining() {
+    return Math.ceil(this.getRemainingMs() / 1000);
+  }
+
+  getBankedSeconds() {
+    return Math.ceil(this.getTotalRemainingMs() / 1000) - this.getTimeRemaining();
+  }
+
+  getElapsedMs() {
+    const { elapsedMs, runningSince } = this.timerState;
+    return runningSince !== null ? elapsedMs + (Date.now() - runningSince) : elapsedMs;
+  }
+
+  setElapsedMs(ms) {
+    this.timerState.elapsedMs = Math.max(0, Math.floor(ms));
+    this.timerState.runningSince = this.timerState.isActive ? Date.now() : null;
+  }
+
+  getBankStatus() {
+    const { maxTimerSeconds, maxSubathonSeconds } = this.timerState.settings;
+    const elapsedSeconds = Math.floor(this.getElapsedMs() / 1000);
+    return {
+      timeRemaining: this.getTimeRemaining(),
+      bankedSeconds: this.getBankedSeconds(),
+      maxTimerSeconds,
+      maxSubathonSeconds,
+      elapsedSeconds,
+      subathonSecondsLeft:
+        maxSubathonSeconds > 0
+          ? Math.max(
+              0,
+              maxSubathonSeconds - elapsedSeconds - Math.ceil(this.getTotalRemainingMs() / 1000)
+            )
+          : null,
+    };
+  }
+
+  broadcastBankUpdate() {
+    this.broadcast({ type: "bank_update", ...this.getBankStatus() });
+  }
+
+  setRemainingMs(ms) {
+    const remainingMs = Math.max(0, Math.floor(ms));
+    if (this.timerState.isActive) {
+      this.timerState.endsAt = Date.now() + remainingMs;
+    } else {
+      this.timerState.remainingMs = remainingMs;
+    }
+  }
+
+  // Everything a client needs to count down locally between syncs
+  getSyncPayload() {
+    return {
+      type: "timer_sync",
+      endsAt: this.timerState.isActive ? this.timerState.endsAt : null,
+      remainingMs: this.getRemainingMs(),
+      timeRemaining: this.getTimeRemaining(),
+      bankedSeconds: this.getBankedSeconds(),
+      maxTimerSeconds: this.timerState.settings.maxTimerSeconds,
+      isActive: this.timerState.isActive,
+      serverTime: Date.now(),
+    };
+  }
+
+  broadcastSync() {
+    this.broadcast(this.getSyncPayload());
+  }
+
   getState() {
     return {
       ...this.timerState,
+      remainingMs: this.getRemainingMs(),
+      timeRemaining: this.getTimeRemaining(),
+      bankedMs: this.getBankedMs(),
+      bankedSeconds: this.getBankedSeconds(),
+      elapsedMs: this.getElapsedMs(),
       lastUpdate: Date.now(),
       errorCount: this.errorCount,
     };
@@ -61,130 +200,62 @@ class TimerManager {
     return { ...this.timerState.settings };
   }
 
-  updateSettings(settings) {
+  getStyle() {
+    return {
+      timerColor: this.timerState.settings.timerColor,
+      timerFont: this.timerState.settings.timerFont,
+      timerShadowColor: this.timerState.settings.timerShadowColor,
+      timerShadowBlur: this.timerState.settings.timerShadowBlur,
+      timerShadowOpacity: this.timerState.settings.timerShadowOpacity,
+      timerShadowX: this.timerState.settings.timerShadowX,
+      timerShadowY: this.timerState.settings.timerShadowY,
+    };
+  }
+
+  // context says who made the change and how ({ actor, source }), for the settings history
+  updateSettings(settings, context = {}) {
     try {
       this.log("info", "Updating settings", settings);
+      const previousSettings = { ...this.timerState.settings };
 
-      // Handle existing settings
-      if (
-        typeof settings.regularSubTime === "number" &&
-        Number.isFinite(settings.regularSubTime) &&
-        settings.regularSubTime >= 0
-      ) {
-        this.log(
-          "info",
-          `Updating regularSubTime: ${this.timerState.settings.regularSubTime} -> ${settings.regularSubTime}`
-        );
-        this.timerState.settings.regularSubTime = settings.regularSubTime;
-      }
-      if (
-        typeof settings.tier2SubTime === "number" &&
-        Number.isFinite(settings.tier2SubTime) &&
-        settings.tier2SubTime >= 0
-      ) {
-        this.log(
-          "info",
-          `Updating tier2SubTime: ${this.timerState.settings.tier2SubTime} -> ${settings.tier2SubTime}`
-        );
-        this.timerState.settings.tier2SubTime = settings.tier2SubTime;
-      }
-      if (
-        typeof settings.tier3SubTime === "number" &&
-        Number.isFinite(settings.tier3SubTime) &&
-        settings.tier3SubTime >= 0
-      ) {
-        this.log(
-          "info",
-          `Updating tier3SubTime: ${this.timerState.settings.tier3SubTime} -> ${settings.tier3SubTime}`
-        );
-        this.timerState.settings.tier3SubTime = settings.tier3SubTime;
+      // The API rejects invalid values before they get here; from anywhere else they are skipped
+      const { values, errors } = validateSettings(settings, { dropUnknown: true });
+      if (Object.keys(errors).length > 0) {
+        this.log("warn", "Ignoring invalid settings", errors);
       }
-      if (
-        typeof settings.primeSubTime === "number" &&
-        Number.isFinite(settings.primeSubTime) &&
-        settings.primeSubTime >= 0
-      ) {
-        this.log(
-          "info",
-          `Updating primeSubTime: ${this.timerState.settings.primeSubTime} -> ${settings.primeSubTime}`
-        );
-        this.timerState.settings.primeSubTime = settings.primeSubTime;
-      }
-      if (
-        typeof settings.giftSubTime === "number" &&
-        Number.isFinite(settings.giftSubTime) &&
-        settings.giftSubTime >= 0
-      ) {
-        this.log(
-          "info",
-          `Updating giftSubTime: ${this.timerState.settings.giftSubTime} -> ${settings.giftSubTime}`
-        );
-        this.timerState.settings.giftSubTime = settings.giftSubTime;
+      for (const [key, value] of Object.entries(values)) {
+        if (this.timerState.settings[key] !== value) {
+          this.log("info", `Updating ${key}: ${this.timerState.settings[key]} -> ${value}`);
+        }
+        this.timerState.settings[key] = value;
       }
-      if (
-        typeof settings.timerSize === "number" &&
-        Number.isFinite(settings.timerSize) &&
-        settings.timerSize >= 0
-      ) {
-        this.timerState.settings.timerSize = settings.timerSize;
+
+      if ("timerSize" in values) {
         this.broadcast({
           type: "timer_size_update",
-          size: settings.timerSize,
+          size: values.timerSize,
         });
       }
 
-      // Handle timer styling settings
-      let stylingUpdated = false;
-      if (typeof settings.timerColor === "string") {
-        this.timerState.settings.timerColor = settings.timerColor;
-        stylingUpdated = true;
-      }
-      if (typeof settings.timerFont === "string") {
-        this.timerState.settings.timerFont = settings.timerFont;
-        stylingUpdated = true;
-      }
-      if (typeof settings.timerShadowColor === "string") {
-        this.timerState.settings.timerShadowColor = settings.timerShadowColor;
-        stylingUpdated = true;
-      }
-      if (
-        typeof settings.timerShadowBlur === "number" &&
-        Number.isFinite(settings.timerShadowBlur) &&
-        settings.timerShadowBlur >= 0
-      ) {
-        this.timerState.settings.timerShadowBlur = settings.timerShadowBlur;
-        stylingUpdated = true;
-      }
-      if (
-        typeof settings.timerShadowOpacity === "number" &&
-        Number.isFinite(settings.timerShadowOpacity) &&
-        settings.timerShadowOpacity >= 0 &&
-        settings.timerShadowOpacity <= 1
-      ) {
-        this.timerState.settings.timerShadowOpacity = settings.timerShadowOpacity;
-        stylingUpdated = true;
-      }
-      if (typeof settings.timerShadowX === "number" && Number.isFinite(settings.timerShadowX)) {
-        this.timerState.settings.timerShadowX = settings.timerShadowX;
-        stylingUpdated = true;
-      }
-      if (typeof settings.timerShadowY === "number" && Number.isFinite(settings.timerShadowY)) {
-        this.timerState.settings.timerShadowY = settings.timerShadowY;
-        stylingUpdated = true;
-      }
+      const stylingUpdated = [
+        "timerColor",
+        "timerFont",
+        "timerShadowColor",
+        "timerShadowBlur",
+        "timerShadowOpacity",
+        "timerShadowX",
+        "timerShadowY",
+      ].some((key) => key in values);
+
+      // Limits, where 0 means no limit
+      const limitsUpdated = ["maxTimerSeconds", "maxSubathonSeconds"].some(
+        (key) => key in values && values[key] !== previousSettings[key]
+      );
 
       if (stylingUpdated) {
         this.broadcast({
           type: "timer_style_update",
-          style: {
-            timerColor: this.timerState.settings.timerColor,
-            timerFont: this.timerState.settings.timerFont,
-            timerShadowColor: this.timerState.settings.timerShadowColor,
-            timerShadowBlur: this.timerState.settings.timerShadowBlur,
-            timerShadowOpacity: this.timerState.settings.timerShadowOpacity,
-            timerShadowX: this.timerState.settings.timerShadowX,
-            timerShadowY: this.timerState.settings.timerShadowY,
-          },
+          style: this.getStyle(),
         });
       }
 
@@ -193,6 +264,31 @@ class TimerManager {
         settings: this.timerState.settings,
       });
 
+      // A new cap moves time between the clock and the bank straight away
+      if (limitsUpdated) {
+        this.broadcastBankUpdate();
+        this.broadcastSync();
+      }
+
+      const changes = {};
+      for (const [key, value] of Object.entries(this.timerState.settings)) {
+        if (previousSettings[key] !== value) {
+          changes[key] = { from: previousSettings[key], to: value };
+        }
+      }
+      if (Object.keys(changes).length > 0 && this.settingsChangeCallback) {
+        try {
+          this.settingsChangeCallback({
+            ...context,
+            changes,
+            previousSettings,
+            settings: { ...this.timerState.settings },
+          });
+        } catch (error) {
+          this.log("error", "Failed to record settings change", error.message);
+        }
+      }
+
       if (this.saveStateCallback) {
         try {
           this.log("info", "Settings updated - triggering state save");
@@ -219,41 +315,21 @@ class TimerManager {
 
   start() {
     try {
-      this.stop(); // Always stop any existing timer first
+      this.halt(); // Always stop any existing timer first
 
+      this.timerState.endsAt = Date.now() + this.timerState.remainingMs;
+      this.timerState.runningSince = Date.now();
       this.timerState.isActive = true;
-      this.log("info", `Starting timer with ${this.timerState.timeRemaining} seconds remaining`);
+      this.log("info", `Starting timer with ${this.getTimeRemaining()} seconds remaining`);
 
-      // Simple countdown - decrement every second
-      this.timerInterval = setInterval(() => {
-        if (!this.timerState.isActive) {
-          this.stop();
-          return;
-        }
-
-        if (this.timerState.timeRemaining > 0) {
-          this.timerState.timeRemaining--;
-          this.broadcast({
-            type: "timer_update",
-            timeRemaining: this.timerState.timeRemaining,
-            isActive: this.timerState.isActive,
-          });
-        } else {
-          this.log("info", "Timer reached zero, stopping");
-          this.stop();
-          this.broadcast({
-            type: "timer_ended",
-            timeRemaining: 0,
-            isActive: false,
-          });
-        }
-      }, 1000);
+      this.scheduleTick();
 
       this.broadcast({
         type: "timer_started",
-        timeRemaining: this.timerState.timeRemaining,
+        timeRemaining: this.getTimeRemaining(),
         isActive: this.timerState.isActive,
       });
+      this.broadcastSync();
     } catch (error) {
       this.log("error", "Error starting timer", error.message);
       this.timerState.isActive = false;
@@ -261,70 +337,157 @@ class TimerManager {
     }
   }
 
+  // Ticks only drive broadcasts; the remaining time always comes from the deadline.
+  // Each tick is scheduled for the moment the displayed second changes, so it self-corrects.
+  scheduleTick() {
+    const delay = this.getTotalRemainingMs() % 1000 || 1000;
+    this.timerInterval = setTimeout(() => this.tick(), delay);
+  }
+
+  tick() {
+    this.timerInterval = null;
+
+    if (!this.timerState.isActive) {
+      this.stop();
+      return;
+    }
+
+    if (this.getTotalRemainingMs() > 0) {
+      this.sendTick({
+        type: "timer_update",
+        timeRemaining: this.getTimeRemaining(),
+        bankedSeconds: this.getBankedSeconds(),
+        isActive: this.timerState.isActive,
+      });
+      this.scheduleTick();
+    } else {
+      this.log("info", "Timer reached zero, stopping");
+      this.stop();
+      this.broadcast({
+        type: "timer_ended",
+        timeRemaining: 0,
+        isActive: false,
+      });
+    }
+  }
+
+  // Freeze the deadline into a remainder, keeping any sub-second part
+  pause() {
+    this.timerState.remainingMs = this.getTotalRemainingMs();
+    this.timerState.elapsedMs = this.getElapsedMs();
+    this.timerState.runningSince = null;
+    this.timerState.endsAt = null;
+    this.timerState.isActive = false;
+  }
+
+  // Stops ticking without telling anyone; for internal stops that aren't a real pause
+  halt() {
+    if (this.timerInterval) {
+      clearTimeout(this.timerInterval);
+      this.timerInterval = null;
+    }
+    this.pause();
+  }
+
   stop() {
     try {
-      if (this.timerInterval) {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
-      }
-      this.timerState.isActive = false;
+      const wasActive = this.timerState.isActive;
+      this.halt();
+      // Stopping a timer that wasn't running isn't news to overlays or webhooks
+      if (!wasActive) return;
 
-      this.log("info", `Timer stopped with ${this.timerState.timeRemaining} seconds remaining`);
+      this.log("info", `Timer stopped with ${this.getTimeRemaining()} seconds remaining`);
 
       this.broadcast({
         type: "timer_stopped",
-        timeRemaining: this.timerState.timeRemaining,
+        timeRemaining: this.getTimeRemaining(),
         isActive: this.timerState.isActive,
       });
+      this.broadcastSync();
     } catch (error) {
       this.log("error", "Error stopping timer", error.message);
       if (this.timerInterval) {
-        clearInterval(this.timerInterval);
+        clearTimeout(this.timerInterval);
         this.timerInterval = null;
       }
-      this.timerState.isActive = false;
+      this.pause();
     }
   }
 
-  reset(time = 3600) {
+  reset(time = 3600, source = "manual") {
     try {
       this.stop();
-      this.timerState.timeRemaining = Math.max(0, Math.floor(time));
+      const previousTime = this.getTimeRemaining();
+      const previousBanked = this.getBankedSeconds();
+      this.setRemainingMs(Math.max(0, Math.floor(time)) * 1000);
+      // A reset starts a new subathon as far as the length limit is concerned
+      this.setElapsedMs(0);
 
-      this.log("info", `Timer reset to ${this.timerState.timeRemaining} seconds`);
+      this.log("info", `Timer reset to ${this.getTimeRemaining()} seconds`);
+
+      this.recordEvent({
+        type: "timer_reset",
+        source,
+        seconds: this.getTimeRemaining() - previousTime,
+        previousTime,
+        timeRemaining: this.getTimeRemaining(),
+      });
 
       this.broadcast({
         type: "timer_reset",
-        timeRemaining: this.timerState.timeRemaining,
+        timeRemaining: this.getTimeRemaining(),
         isActive: false,
       });
+      this.broadcastSync();
+      if (previousBanked > 0 || this.getBankedSeconds() > 0) {
+        this.broadcastBankUpdate();
+      }
     } catch (error) {
       this.log("error", "Error resetting timer", error.message);
       throw error;
     }
   }
 
-  addTime(seconds, subscriberDetails = null) {
+  // A quiet addition leaves announcing it to the caller, e.g. gift bomb follow-ups that are
+  // announced together as one gift_bomb
+  addTime(seconds, subscriberDetails = null, source = null, { quiet = false } = {}) {
     try {
       if (typeof seconds !== "number" || seconds <= 0) {
         this.log("warn", `Invalid time addition: ${seconds}`);
-        return;
+        return null;
       }
 
-      const previousTime = this.timerState.timeRemaining;
-      this.timerState.timeRemaining += Math.floor(seconds);
+      const previousTime = this.getTimeRemaining();
+      const previousBanked = this.getBankedSeconds();
+      const requested = Math.floor(seconds);
+
+      // Anything past the subathon length limit is dropped rather than banked
+      let credited = requested;
+      const { maxSubathonSeconds } = this.timerState.settings;
+      if (maxSubathonSeconds > 0) {
+        const roomMs = maxSubathonSeconds * 1000 - this.getElapsedMs() - this.getTotalRemainingMs();
+        credited = Math.min(requested, Math.max(0, Math.floor(roomMs / 1000)));
+      }
+      const discardedTime = requested - credited;
+
+      this.setRemainingMs(this.getTotalRemainingMs() + credited * 1000);
+      const bankedTime = Math.max(0, this.getBankedSeconds() - previousBanked);
 
       this.log(
         "info",
-        `Added ${seconds} seconds to timer (${previousTime} -> ${this.timerState.timeRemaining})`
+        `Added ${credited} seconds to timer (${previousTime} -> ${this.getTimeRemaining()})` +
+          (bankedTime > 0 ? `, ${bankedTime} banked` : "") +
+          (discardedTime > 0 ? `, ${discardedTime} over the subathon limit` : "")
       );
 
       const broadcastData = {
         type: "time_added",
-        timeRemaining: this.timerState.timeRemaining,
+        timeRemaining: this.getTimeRemaining(),
         isActive: this.timerState.isActive,
-        addedTime: seconds,
+        addedTime: credited,
         previousTime: previousTime,
+        bankedTime,
+        discardedTime,
       };
 
       // Include subscriber details if provided
@@ -332,13 +495,83 @@ class TimerManager {
         broadcastData.subscriber = subscriberDetails;
       }
 
-      this.broadcast(broadcastData);
+      if (!quiet) {
+        this.broadcast(broadcastData);
+        this.broadcastSync();
+      }
+      if (bankedTime > 0 || discardedTime > 0) {
+        this.broadcastBankUpdate();
+      }
+
+      // Subscriber details only come from Twitch unless the caller says otherwise
+      return this.recordEvent({
+        type: "time_added",
+        source: source || (subscriberDetails ? "twitch" : "manual"),
+        username: subscriberDetails?.username,
+        tier: subscriberDetails?.tierName,
+        seconds: credited,
+        previousTime,
+        timeRemaining: this.getTimeRemaining(),
+        details:
+          discardedTime > 0
+            ? { ...subscriberDetails, requestedTime: requested }
+            : subscriberDetails,
+      });
     } catch (error) {
       this.log("error", "Error adding time to timer", error.message);
       throw error;
     }
   }
 
+  reverseTime(originalEvent, reason = null, source = "manual") {
+    try {
+      const previousTime = this.getTimeRemaining();
+      const previousBanked = this.getBankedSeconds();
+      // Banked time goes first. Never go below zero; record what was actually taken back
+      const remainingMs = this.getTotalRemainingMs();
+      const removedMs = Math.min(remainingMs, originalEvent.seconds * 1000);
+      this.setRemainingMs(remainingMs - removedMs);
+      const removedTime = Math.round(removedMs / 1000);
+
+      this.log(
+        "info",
+        `Reversed event ${originalEvent.id}: removed ${removedTime} seconds (${previousTime} -> ${this.getTimeRemaining()})`
+      );
+
+      this.broadcast({
+        type: "time_reversed",
+        timeRemaining: this.getTimeRemaining(),
+        isActive: this.timerState.isActive,
+        removedTime,
+        previousTime,
+        reversedEventId: originalEvent.id,
+        reason,
+        subscriber: originalEvent.details || null,
+      });
+      this.broadcastSync();
+      if (previousBanked > 0) {
+        this.broadcastBankUpdate();
+      }
+
+      return this.recordEvent({
+        type: "time_reversed",
+        source,
+        username: originalEvent.username,
+        tier: originalEvent.tier,
+        seconds: -removedTime,
+        previousTime,
+        timeRemaining: this.getTimeRemaining(),
+        details: {
+          reversedEventId: originalEvent.id,
+          reason,
+        },
+      });
+    } catch (error) {
+      this.log("error", "Error reversing time addition", error.message);
+      throw error;
+    }
+  }
+
   isHealthy() {
     const now = Date.now();
     const issues = [];
@@ -362,7 +595,7 @@ class TimerManager {
       state: {
         isActive: this.timerState.isActive,
         hasInterval: !!this.timerInterval,
-        timeRemaining: this.timerState.timeRemaining,
+        timeRemaining: this.getTimeRemaining(),
         errorCount: this.errorCount,
         lastBroadcast: this.lastBroadcast,
       },
@@ -381,13 +614,13 @@ class TimerManager {
 
     try {
       if (this.timerInterval) {
-        clearInterval(this.timerInterval);
+        clearTimeout(this.timerInterval);
         this.timerInterval = null;
       }
       this.errorCount = 0;
 
-      if (this.timerState.isActive && this.timerState.timeRemaining > 0) {
-        this.timerState.isActive = false;
+      if (this.timerState.isActive && this.getRemainingMs() > 0) {
+        this.pause();
         this.start();
         this.log("info", "Timer recovery successful - restarted active timer");
       } else {
@@ -404,8 +637,10 @@ class TimerManager {
   cleanup() {
     this.log("info", "Cleaning up timer...");
     try {
-      this.stop();
+      // Shutting down isn't a stop; the restore policy decides what happens on the next start
+      this.halt();
       this.broadcastCallback = null;
+      this.tickCallback = null;
       this.errorCount = 0;
       this.lastBroadcast = null;
       this.lastRecoveryAttempt = null;
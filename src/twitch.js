@@ -2,9 +2,18 @@ import tmi from "tmi.js";
 import axios from "axios";
 import dotenv from "dotenv";
 import { timerManager } from "./timer.js";
+import {
+  applyMultiplier,
+  calculateCheerTime,
+  calculateRaidTime,
+  getSubTierTime,
+} from "./timeRules.js";
 
 dotenv.config();
 
+// Twitch sends most anonymous gifts as regular subgift notices from this account
+const ANONYMOUS_GIFTER_LOGIN = "ananonymousgifter";
+
 class TwitchManager {
   constructor() {
     this.client = null;
@@ -17,6 +26,13 @@ class TwitchManager {
     this.connectionHealthCheck = null;
     this.lastEventTime = Date.now();
     this.eventCount = 0;
+    // IRC message ids already handled, oldest first (Map keeps insertion order)
+    this.processedMessageIds = new Map();
+    this.maxProcessedMessageIds = 1000;
+    this.duplicateCount = 0;
+    // Community gift bombs waiting for their follow-up subgift notices, keyed by origin id
+    this.pendingGiftBombs = new Map();
+    this.giftBombTimeoutMs = 15000;
   }
 
   setBroadcastCallback(callback) {
@@ -232,6 +248,9 @@ class TwitchManager {
 
     // Subscription event handlers
     this.setupSubscriptionHandlers();
+
+    // Bits event handlers
+    this.setupCheerHandlers();
   }
 
   async handleAuthenticationFailure() {
@@ -248,328 +267,552 @@ class TwitchManager {
     }
   }
 
-  setupSubscriptionHandlers() {
-    if (!this.client) return;
+  // tmi.js can surface the same USERNOTICE through more than one handler, so every
+  // handler checks the message id here before touching the timer
+  isDuplicateEvent(userstate, handlerName) {
+    const messageId = userstate && userstate.id;
+    if (!messageId) {
+      this.log("warn", `No message id on ${handlerName} event, cannot deduplicate`);
+      return false;
+    }
 
-    // Listen for usernotice events (subs, resubs, gifts, etc)
-    this.client.on("usernotice", (channel, userstate, message) => {
-      this.lastEventTime = Date.now();
-      this.eventCount++;
+    if (this.processedMessageIds.has(messageId)) {
+      this.duplicateCount++;
+      this.log("info", `Skipping duplicate ${handlerName} event (id: ${messageId})`);
+      return true;
+    }
 
-      try {
-        const msgId = userstate["msg-id"];
-        const username = userstate["display-name"] || userstate.username;
-        const subPlan = userstate["msg-param-sub-plan"];
+    this.processedMessageIds.set(messageId, Date.now());
+    while (this.processedMessageIds.size > this.maxProcessedMessageIds) {
+      const oldest = this.processedMessageIds.keys().next().value;
+      this.processedMessageIds.delete(oldest);
+    }
+    return false;
+  }
 
-        // Only log if it's a subscription-related event
-        if (msgId === "sub" || msgId === "resub" || msgId === "subgift") {
-          this.log("info", `Received ${msgId}: ${username} (plan: ${subPlan})`);
-        }
+  getDedupState() {
+    return {
+      processedMessageIds: Array.from(this.processedMessageIds.entries()),
+      duplicateCount: this.duplicateCount,
+    };
+  }
 
-        const timerSettings = timerManager.getSettings();
-
-        if (msgId === "sub" || msgId === "resub") {
-          // Regular subscription or resub - determine time based on tier
-          let timeToAdd;
-          let tierName;
-
-          switch (subPlan) {
-            case "1000":
-              timeToAdd = timerSettings.regularSubTime;
-              tierName = "Tier 1";
-              break;
-            case "2000":
-              timeToAdd = timerSettings.tier2SubTime;
-              tierName = "Tier 2";
-              break;
-            case "3000":
-              timeToAdd = timerSettings.tier3SubTime;
-              tierName = "Tier 3";
-              break;
-            case "Prime":
-              timeToAdd = timerSettings.primeSubTime;
-              tierName = "Prime";
-              break;
-            default:
-              // Fallback for unknown plans
-              timeToAdd = timerSettings.regularSubTime;
-              tierName = "Unknown";
-              this.log("warn", `Unknown sub plan: ${subPlan}, using regular sub time`);
-          }
-
-          const subscriberDetails = {
-            username,
-            subCount: 1,
-            subType: msgId === "resub" ? "resub" : "subscription",
-            tierName,
-            msgId,
-          };
-
-          timerManager.addTime(timeToAdd, subscriberDetails);
-
-          this.broadcast({
-            type: "subscription",
-            username,
-            msgId,
-            subPlan,
-            tierName,
-            timeAdded: timeToAdd,
-            subCount: 1,
-            subType: msgId === "resub" ? "resub" : "subscription",
-          });
-          this.log("info", `${username} ${msgId} (${tierName}) - Added ${timeToAdd} seconds`);
-        } else if (msgId === "subgift") {
-          // Gift subscription - determine time based on tier
-          const giftCount = parseInt(userstate["msg-param-gift-months"] || "1");
-          let baseTime;
-          let tierName;
-
-          switch (subPlan) {
-            case "1000":
-              baseTime = timerSettings.regularSubTime;
-              tierName = "Tier 1";
-              break;
-            case "2000":
-              baseTime = timerSettings.tier2SubTime;
-              tierName = "Tier 2";
-              break;
-            case "3000":
-              baseTime = timerSettings.tier3SubTime;
-              tierName = "Tier 3";
-              break;
-            default:
-              // Fallback for unknown plans or use giftSubTime if specifically configured
-              baseTime = timerSettings.giftSubTime;
-              tierName = "Gift";
-              this.log("warn", `Unknown gift sub plan: ${subPlan}, using gift sub time`);
-          }
-
-          const timeToAdd = baseTime * giftCount;
-
-          const subscriberDetails = {
-            username,
-            subCount: giftCount,
-            subType: "gift",
-            tierName,
-            msgId,
-          };
-
-          timerManager.addTime(timeToAdd, subscriberDetails);
-
-          const recipient =
-            userstate["msg-param-recipient-display-name"] ||
-            userstate["msg-param-recipient-user-name"];
-
-          this.broadcast({
-            type: "subscription",
-            username,
-            msgId,
-            subPlan,
-            tierName,
-            timeAdded: timeToAdd,
-            subCount: giftCount,
-            subType: "gift",
-            recipient: recipient,
-          });
-          this.log(
-            "info",
-            `${username} gifted ${giftCount} ${tierName} sub(s) - Added ${timeToAdd} seconds`
-          );
-        } else {
-          this.log("info", `Unhandled usernotice type: ${msgId}`);
-        }
-      } catch (error) {
-        this.log("error", "Error handling usernotice event", {
-          message: error.message,
-          stack: error.stack,
-          userstate,
-        });
+  restoreDedupState(state) {
+    if (!state || !Array.isArray(state.processedMessageIds)) return;
+
+    this.processedMessageIds = new Map(
+      state.processedMessageIds
+        .filter((entry) => Array.isArray(entry) && typeof entry[0] === "string")
+        .slice(-this.maxProcessedMessageIds)
+    );
+    if (Number.isFinite(state.duplicateCount)) {
+      this.duplicateCount = state.duplicateCount;
+    }
+    this.log("info", `Restored ${this.processedMessageIds.size} processed message ids`);
+  }
+
+  // Shared by the tmi.js listeners and the dev simulators, so both follow the same time rules
+  handleUserNotice(userstate, source = null) {
+    try {
+      const msgId = userstate["msg-id"];
+      const username = userstate["display-name"] || userstate.username;
+      const subPlan = userstate["msg-param-sub-plan"];
+
+      // Only log if it's a subscription-related event
+      if (msgId === "sub" || msgId === "resub") {
+        this.log("info", `Received ${msgId}: ${username} (plan: ${subPlan})`);
       }
-    });
 
-    // Alternative event handlers as backup
-    this.client.on("subscription", (channel, username, method, message, userstate) => {
-      this.lastEventTime = Date.now();
-      this.eventCount++;
+      const timerSettings = timerManager.getSettings();
 
-      try {
-        const subPlan = method.plan || userstate["msg-param-sub-plan"];
-        const timerSettings = timerManager.getSettings();
-
-        let timeToAdd;
-        let tierName;
-
-        switch (subPlan) {
-          case "1000":
-            timeToAdd = timerSettings.regularSubTime;
-            tierName = "Tier 1";
-            break;
-          case "2000":
-            timeToAdd = timerSettings.tier2SubTime;
-            tierName = "Tier 2";
-            break;
-          case "3000":
-            timeToAdd = timerSettings.tier3SubTime;
-            tierName = "Tier 3";
-            break;
-          case "Prime":
-            timeToAdd = timerSettings.primeSubTime;
-            tierName = "Prime";
-            break;
-          default:
-            timeToAdd = timerSettings.regularSubTime;
-            tierName = "Unknown";
+      if (msgId === "sub" || msgId === "resub") {
+        // Regular subscription or resub - determine time based on tier
+        let tier = getSubTierTime(subPlan, timerSettings);
+        if (!tier) {
+          // Fallback for unknown plans
+          tier = { timeToAdd: timerSettings.regularSubTime, tierName: "Unknown" };
+          this.log("warn", `Unknown sub plan: ${subPlan}, using regular sub time`);
         }
+        const { tierName } = tier;
+        const { timeToAdd, multiplier } = applyMultiplier(tier.timeToAdd, msgId);
 
         const subscriberDetails = {
           username,
           subCount: 1,
-          subType: "subscription",
+          subType: msgId === "resub" ? "resub" : "subscription",
           tierName,
-          msgId: "sub",
+          msgId,
+          multiplier,
         };
 
-        timerManager.addTime(timeToAdd, subscriberDetails);
-        this.broadcast({
+        timerManager.addTime(timeToAdd, subscriberDetails, source);
+
+        const subscriptionData = {
           type: "subscription",
           username,
-          msgId: "sub",
+          msgId,
           subPlan,
           tierName,
           timeAdded: timeToAdd,
           subCount: 1,
-          subType: "subscription",
-        });
-        this.log(
-          "info",
-          `Subscription via subscription event: ${username} (${tierName}) - Added ${timeToAdd} seconds`
-        );
-      } catch (error) {
-        this.log("error", "Error handling subscription event", error.message);
+          subType: msgId === "resub" ? "resub" : "subscription",
+          multiplier,
+        };
+        if (msgId === "resub") {
+          subscriptionData.months = parseInt(userstate["msg-param-streak-months"] || "0");
+        }
+
+        this.broadcast(subscriptionData);
+        this.log("info", `${username} ${msgId} (${tierName}) - Added ${timeToAdd} seconds`);
+        return subscriptionData;
+      } else if (msgId === "subgift" || msgId === "anonsubgift") {
+        return this.handleGiftNotice(userstate, timerSettings, source);
+      } else if (msgId === "submysterygift" || msgId === "anonsubmysterygift") {
+        return this.handleMysteryGiftNotice(userstate, timerSettings);
+      } else if (
+        msgId === "giftpaidupgrade" ||
+        msgId === "anongiftpaidupgrade" ||
+        msgId === "primepaidupgrade"
+      ) {
+        return this.handleUpgradeNotice(userstate, timerSettings, source);
+      } else if (msgId === "communitypayforward") {
+        return this.handlePayForwardNotice(userstate, timerSettings, source);
+      } else if (msgId === "raid") {
+        return this.handleRaidNotice(userstate, timerSettings, source);
+      } else {
+        this.log("info", `Unhandled usernotice type: ${msgId}`);
       }
+      return null;
+    } catch (error) {
+      this.log("error", "Error handling usernotice event", {
+        message: error.message,
+        stack: error.stack,
+        userstate,
+      });
+      return null;
+    }
+  }
+
+  isAnonymousGifter(userstate) {
+    const msgId = userstate["msg-id"];
+    return (
+      msgId === "anonsubgift" ||
+      msgId === "anonsubmysterygift" ||
+      msgId === "anongiftpaidupgrade" ||
+      userstate.login === ANONYMOUS_GIFTER_LOGIN
+    );
+  }
+
+  handleGiftNotice(userstate, timerSettings, source) {
+    // Gift subscription - determine time based on tier
+    const msgId = userstate["msg-id"];
+    const subPlan = userstate["msg-param-sub-plan"];
+    const anonymous = this.isAnonymousGifter(userstate);
+    const username = anonymous
+      ? timerSettings.anonymousGifterName
+      : userstate["display-name"] || userstate.username;
+    const giftCount = parseInt(userstate["msg-param-gift-months"] || "1");
+
+    this.log("info", `Received ${msgId}: ${username} (plan: ${subPlan})`);
+
+    // Prime can't be gifted, so it falls through to giftSubTime like any unknown plan
+    const tier = subPlan === "Prime" ? null : getSubTierTime(subPlan, timerSettings);
+    let baseTime;
+    let tierName;
+    if (tier) {
+      baseTime = tier.timeToAdd;
+      tierName = tier.tierName;
+    } else {
+      baseTime = timerSettings.giftSubTime;
+      tierName = "Gift";
+      this.log("warn", `Unknown gift sub plan: ${subPlan}, using gift sub time`);
+    }
+
+    const { timeToAdd, multiplier } = applyMultiplier(baseTime * giftCount, "gift");
+
+    const subscriberDetails = {
+      username,
+      subCount: giftCount,
+      subType: "gift",
+      tierName,
+      msgId,
+      anonymous,
+      multiplier,
+    };
+
+    // Gifts that belong to a community gift bomb are announced once, as a gift_bomb
+    const originId = userstate["msg-param-origin-id"];
+    const inGiftBomb = !!originId && this.pendingGiftBombs.has(originId);
+    timerManager.addTime(timeToAdd, subscriberDetails, source, { quiet: inGiftBomb });
+
+    const recipient =
+      userstate["msg-param-recipient-display-name"] || userstate["msg-param-recipient-user-name"];
+
+    const subscriptionData = {
+      type: "subscription",
+      username,
+      msgId,
+      subPlan,
+      tierName,
+      timeAdded: timeToAdd,
+      subCount: giftCount,
+      subType: "gift",
+      recipient: recipient,
+      anonymous,
+      multiplier,
+    };
+
+    if (inGiftBomb) {
+      this.addToGiftBomb(originId, recipient, timeToAdd);
+      return subscriptionData;
+    }
+
+    this.broadcast(subscriptionData);
+    this.log(
+      "info",
+      `${username} gifted ${giftCount} ${tierName} sub(s) - Added ${timeToAdd} seconds`
+    );
+    return subscriptionData;
+  }
+
+  handleMysteryGiftNotice(userstate, timerSettings) {
+    const msgId = userstate["msg-id"];
+    const subPlan = userstate["msg-param-sub-plan"];
+    const anonymous = this.isAnonymousGifter(userstate);
+    const username = anonymous
+      ? timerSettings.anonymousGifterName
+      : userstate["display-name"] || userstate.username;
+    const giftCount = parseInt(userstate["msg-param-mass-gift-count"] || "1");
+    const tier = getSubTierTime(subPlan, timerSettings);
+    const originId = userstate["msg-param-origin-id"];
+
+    // No time here: every gifted sub follows as its own subgift notice and is credited there
+    const subscriptionData = {
+      type: "subscription",
+      username,
+      msgId,
+      subPlan,
+      tierName: tier ? tier.tierName : "Gift",
+      timeAdded: 0,
+      subCount: giftCount,
+      subType: "mystery_gift",
+      anonymous,
+    };
+
+    this.log("info", `${username} is gifting ${giftCount} sub(s) to the community`);
+
+    // Without an origin id the follow-ups can't be matched, so announce the header as is
+    if (!originId) {
+      this.broadcast(subscriptionData);
+      return subscriptionData;
+    }
+
+    this.pendingGiftBombs.set(originId, {
+      originId,
+      username,
+      anonymous,
+      subPlan,
+      tierName: subscriptionData.tierName,
+      expectedCount: giftCount,
+      recipients: [],
+      totalTime: 0,
+      startedAt: Date.now(),
+      timeout: setTimeout(() => this.completeGiftBomb(originId, "timeout"), this.giftBombTimeoutMs),
     });
+    return subscriptionData;
+  }
 
-    this.client.on("resub", (channel, username, months, message, userstate, methods) => {
+  addToGiftBomb(originId, recipient, timeAdded) {
+    const bomb = this.pendingGiftBombs.get(originId);
+    bomb.recipients.push(recipient || null);
+    bomb.totalTime += timeAdded;
+
+    if (bomb.recipients.length >= bomb.expectedCount) {
+      this.completeGiftBomb(originId, "complete");
+    }
+  }
+
+  completeGiftBomb(originId, reason) {
+    const bomb = this.pendingGiftBombs.get(originId);
+    if (!bomb) return null;
+
+    clearTimeout(bomb.timeout);
+    this.pendingGiftBombs.delete(originId);
+
+    const giftBombData = {
+      type: "gift_bomb",
+      username: bomb.username,
+      anonymous: bomb.anonymous,
+      subPlan: bomb.subPlan,
+      tierName: bomb.tierName,
+      subCount: bomb.recipients.length,
+      expectedCount: bomb.expectedCount,
+      recipients: bomb.recipients,
+      timeAdded: bomb.totalTime,
+      timeRemaining: timerManager.getTimeRemaining(),
+      complete: bomb.recipients.length >= bomb.expectedCount,
+    };
+
+    if (reason === "timeout") {
+      this.log(
+        "warn",
+        `Gift bomb from ${bomb.username} timed out with ${bomb.recipients.length}/${bomb.expectedCount} gifts received`
+      );
+    }
+
+    this.broadcast(giftBombData);
+    // The gifts were added quietly, so sync clients only now hear about the new deadline
+    timerManager.broadcastSync();
+    this.log(
+      "info",
+      `${bomb.username} gifted ${bomb.recipients.length} ${bomb.tierName} sub(s) - Added ${bomb.totalTime} seconds`
+    );
+    return giftBombData;
+  }
+
+  handleUpgradeNotice(userstate, timerSettings, source) {
+    const msgId = userstate["msg-id"];
+    const username = userstate["display-name"] || userstate.username;
+    const subPlan = userstate["msg-param-sub-plan"];
+    const isPrimeUpgrade = msgId === "primepaidupgrade";
+    const { timeToAdd, multiplier } = applyMultiplier(
+      isPrimeUpgrade ? timerSettings.primeUpgradeTime : timerSettings.giftUpgradeTime,
+      "upgrade"
+    );
+    const subType = isPrimeUpgrade ? "prime_upgrade" : "gift_upgrade";
+    const tier = getSubTierTime(subPlan, timerSettings);
+    const tierName = tier ? tier.tierName : "Unknown";
+
+    // Who gave the original gift, if it was a gift
+    let gifter = null;
+    if (!isPrimeUpgrade) {
+      gifter = this.isAnonymousGifter(userstate)
+        ? timerSettings.anonymousGifterName
+        : userstate["msg-param-sender-name"] || userstate["msg-param-sender-login"] || null;
+    }
+
+    if (timeToAdd > 0) {
+      timerManager.addTime(
+        timeToAdd,
+        { username, subCount: 1, subType, tierName, msgId, gifter, multiplier },
+        source
+      );
+    }
+
+    const subscriptionData = {
+      type: "subscription",
+      username,
+      msgId,
+      subPlan,
+      tierName,
+      timeAdded: timeToAdd,
+      subCount: 1,
+      subType,
+      gifter,
+      multiplier,
+    };
+
+    this.broadcast(subscriptionData);
+    this.log("info", `${username} ${msgId} (${tierName}) - Added ${timeToAdd} seconds`);
+    return subscriptionData;
+  }
+
+  handlePayForwardNotice(userstate, timerSettings, source) {
+    const msgId = userstate["msg-id"];
+    const username = userstate["display-name"] || userstate.username;
+    const { timeToAdd, multiplier } = applyMultiplier(timerSettings.payForwardTime, "pay_forward");
+    const priorGifter =
+      userstate["msg-param-prior-gifter-anonymous"] === "true"
+        ? timerSettings.anonymousGifterName
+        : userstate["msg-param-prior-gifter-display-name"] ||
+          userstate["msg-param-prior-gifter-user-name"] ||
+          null;
+
+    // The paid-forward gift itself arrives as a subgift notice; this is only the bonus
+    if (timeToAdd > 0) {
+      timerManager.addTime(
+        timeToAdd,
+        {
+          username,
+          subCount: 0,
+          subType: "pay_forward",
+          tierName: null,
+          msgId,
+          priorGifter,
+          multiplier,
+        },
+        source
+      );
+    }
+
+    const subscriptionData = {
+      type: "subscription",
+      username,
+      msgId,
+      timeAdded: timeToAdd,
+      subCount: 0,
+      subType: "pay_forward",
+      priorGifter,
+      multiplier,
+    };
+
+    this.broadcast(subscriptionData);
+    this.log(
+      "info",
+      `${username} paid forward a gift from ${priorGifter} - Added ${timeToAdd} seconds`
+    );
+    return subscriptionData;
+  }
+
+  handleRaidNotice(userstate, timerSettings, source) {
+    const username =
+      userstate["msg-param-displayName"] ||
+      userstate["msg-param-login"] ||
+      userstate["display-name"] ||
+      userstate.username;
+    const viewers = parseInt(userstate["msg-param-viewerCount"] || "0");
+    const { timeToAdd, multiplier } = applyMultiplier(
+      calculateRaidTime(viewers, timerSettings),
+      "raid"
+    );
+
+    if (timeToAdd > 0) {
+      timerManager.addTime(
+        timeToAdd,
+        { username, viewers, subType: "raid", msgId: "raid", multiplier },
+        source
+      );
+    }
+
+    const raidData = {
+      type: "raid",
+      username,
+      viewers,
+      timeAdded: timeToAdd,
+      multiplier,
+    };
+
+    this.broadcast(raidData);
+    this.log("info", `${username} raided with ${viewers} viewers - Added ${timeToAdd} seconds`);
+    return raidData;
+  }
+
+  setupSubscriptionHandlers() {
+    if (!this.client) return;
+
+    // tmi.js only emits usernotice (msgId, channel, tags, message) for notice types it has
+    // no dedicated event for, so the typed events below feed the same handler
+    this.client.on("usernotice", (msgId, channel, userstate) => {
       this.lastEventTime = Date.now();
+      if (this.isDuplicateEvent(userstate, "usernotice")) return;
       this.eventCount++;
+      this.handleUserNotice(userstate);
+    });
 
-      try {
-        this.log("info", `RESUB EVENT: ${username} resubscribed for ${months} months`);
-
-        const subPlan = methods.plan || userstate["msg-param-sub-plan"];
-        const timerSettings = timerManager.getSettings();
-
-        let timeToAdd;
-        let tierName;
-
-        switch (subPlan) {
-          case "1000":
-            timeToAdd = timerSettings.regularSubTime;
-            tierName = "Tier 1";
-            break;
-          case "2000":
-            timeToAdd = timerSettings.tier2SubTime;
-            tierName = "Tier 2";
-            break;
-          case "3000":
-            timeToAdd = timerSettings.tier3SubTime;
-            tierName = "Tier 3";
-            break;
-          case "Prime":
-            timeToAdd = timerSettings.primeSubTime;
-            tierName = "Prime";
-            break;
-          default:
-            timeToAdd = timerSettings.regularSubTime;
-            tierName = "Unknown";
-        }
+    // The IRC tags are always the last argument of these events
+    const typedNoticeEvents = [
+      "anonsubgift",
+      "submysterygift",
+      "anonsubmysterygift",
+      "giftpaidupgrade",
+      "anongiftpaidupgrade",
+      "primepaidupgrade",
+      "raided",
+    ];
+    for (const eventName of typedNoticeEvents) {
+      this.client.on(eventName, (...args) => {
+        const userstate = args[args.length - 1];
+        this.lastEventTime = Date.now();
+        if (this.isDuplicateEvent(userstate, eventName)) return;
+        this.eventCount++;
+        this.handleUserNotice(userstate);
+      });
+    }
 
-        const subscriberDetails = {
-          username,
-          subCount: 1,
-          subType: "resub",
-          tierName,
-          msgId: "resub",
-        };
+    // Alternative event handlers as backup; they share the usernotice handler so time rules
+    // and multipliers are applied in one place
+    this.client.on("subscription", (channel, username, method, message, userstate) => {
+      this.lastEventTime = Date.now();
+      if (this.isDuplicateEvent(userstate, "subscription")) return;
+      this.eventCount++;
+      this.handleUserNotice(userstate);
+    });
 
-        timerManager.addTime(timeToAdd, subscriberDetails);
-        this.broadcast({
-          type: "subscription",
-          username,
-          msgId: "resub",
-          subPlan,
-          tierName,
-          timeAdded: timeToAdd,
-          subCount: 1,
-          subType: "resub",
-          months: months,
-        });
-        this.log(
-          "info",
-          `Resub via resub event: ${username} (${tierName}) - Added ${timeToAdd} seconds`
-        );
-      } catch (error) {
-        this.log("error", "Error handling resub event", error.message);
-      }
+    this.client.on("resub", (channel, username, months, message, userstate, methods) => {
+      this.lastEventTime = Date.now();
+      if (this.isDuplicateEvent(userstate, "resub")) return;
+      this.eventCount++;
+      this.handleUserNotice(userstate);
     });
 
+    // Gift subs also need the shared handler so gift bomb follow-ups can be aggregated
     this.client.on("subgift", (channel, username, streakMonths, recipient, methods, userstate) => {
       this.lastEventTime = Date.now();
+      if (this.isDuplicateEvent(userstate, "subgift")) return;
       this.eventCount++;
+      this.handleUserNotice(userstate);
+    });
+  }
 
-      try {
-        this.log("info", `SUBGIFT EVENT: ${username} gifted a sub to ${recipient}`);
-
-        const timerSettings = timerManager.getSettings();
-        let timeToAdd;
-        let tierName;
-
-        switch (methods.plan) {
-          case "1000":
-            timeToAdd = timerSettings.regularSubTime;
-            tierName = "Tier 1";
-            break;
-          case "2000":
-            timeToAdd = timerSettings.tier2SubTime;
-            tierName = "Tier 2";
-            break;
-          case "3000":
-            timeToAdd = timerSettings.tier3SubTime;
-            tierName = "Tier 3";
-            break;
-          default:
-            timeToAdd = timerSettings.giftSubTime;
-            tierName = "Gift";
-        }
+  setupCheerHandlers() {
+    if (!this.client) return;
 
-        const subscriberDetails = {
-          username,
-          subCount: 1,
-          subType: "gift",
-          tierName,
-          msgId: "subgift",
-        };
+    this.client.on("cheer", (channel, userstate, message) => {
+      this.lastEventTime = Date.now();
+      if (this.isDuplicateEvent(userstate, "cheer")) return;
+      this.eventCount++;
+      this.handleCheer(userstate, message);
+    });
+  }
 
-        timerManager.addTime(timeToAdd, subscriberDetails);
-        this.broadcast({
-          type: "subscription",
-          username,
-          msgId: "subgift",
-          subPlan: methods.plan,
-          tierName,
-          timeAdded: timeToAdd,
-          subCount: 1,
-          subType: "gift",
-          recipient: recipient,
-        });
+  // Shared with the cheer simulator, like handleUserNotice
+  handleCheer(userstate, message, source = null) {
+    try {
+      const username = userstate["display-name"] || userstate.username;
+      const bits = parseInt(userstate.bits || "0");
+      const timerSettings = timerManager.getSettings();
+      const { timeToAdd, multiplier } = applyMultiplier(
+        calculateCheerTime(bits, timerSettings),
+        "cheer"
+      );
+
+      if (timeToAdd <= 0) {
         this.log(
           "info",
-          `Subgift via subgift event: ${username} gifted a ${tierName} sub to ${recipient} - Added ${timeToAdd} seconds`
+          `${username} cheered ${bits} bits - below minimum of ${timerSettings.minimumBits}, no time added`
         );
-      } catch (error) {
-        this.log("error", "Error handling subgift event", error.message);
+        return null;
       }
-    });
+
+      const cheerDetails = {
+        username,
+        bits,
+        subType: "cheer",
+        msgId: "cheer",
+        multiplier,
+      };
+
+      timerManager.addTime(timeToAdd, cheerDetails, source);
+
+      const cheerData = {
+        type: "cheer",
+        username,
+        bits,
+        message,
+        timeAdded: timeToAdd,
+        multiplier,
+      };
+      this.broadcast(cheerData);
+      this.log("info", `${username} cheered ${bits} bits - Added ${timeToAdd} seconds`);
+      return cheerData;
+    } catch (error) {
+      this.log("error", "Error handling cheer event", {
+        message: error.message,
+        stack: error.stack,
+        userstate,
+      });
+      return null;
+    }
   }
 
   async connect() {
@@ -628,6 +871,11 @@ class TwitchManager {
   async disconnect() {
     this.log("info", "Disconnecting from Twitch...");
 
+    // Announce whatever gift bombs are still waiting on follow-ups
+    for (const originId of Array.from(this.pendingGiftBombs.keys())) {
+      this.completeGiftBomb(originId, "shutdown");
+    }
+
     if (this.connectionHealthCheck) {
       clearInterval(this.connectionHealthCheck);
       this.connectionHealthCheck = null;
@@ -651,6 +899,9 @@ class TwitchManager {
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
       eventCount: this.eventCount,
+      duplicateCount: this.duplicateCount,
+      trackedMessageIds: this.processedMessageIds.size,
+      pendingGiftBombs: this.pendingGiftBombs.size,
       lastEventTime: this.lastEventTime,
       timeSinceLastEvent: Date.now() - this.lastEventTime,
       clientState: this.client ? this.client.readyState() : "NO_CLIENT",
@@ -1,9 +1,31 @@
+// What to do with a timer that was running when the server went down:
+// resume: always pick the timer back up, downtime counted against it
+// pause: never auto-resume; the time stays where it was saved
+// deduct: downtime counted against it, resumed only if the downtime is within the threshold
+// freeze: downtime not counted, resumed only if the downtime is within the threshold
+export const RESTORE_POLICIES = ["resume", "pause", "deduct", "freeze"];
+
 export const defaultSettings = {
   regularSubTime: 60,
   tier2SubTime: 120,
   tier3SubTime: 180,
   primeSubTime: 60,
   giftSubTime: 60,
+  bitsTimePer100: 12,
+  minimumBits: 100,
+  giftUpgradeTime: 60,
+  primeUpgradeTime: 60,
+  payForwardTime: 0,
+  raidTime: 30,
+  raidViewersPerUnit: 10,
+  minimumRaidViewers: 10,
+  anonymousGifterName: "Anonymous",
+  maxTimerSeconds: 0,
+  maxSubathonSeconds: 0,
+  leaderboardSize: 10,
+  leaderboardWindowHours: 24,
+  restorePolicy: "deduct",
+  restoreThresholdSeconds: 300,
   timerSize: 0,
   timerColor: "#60e9b9",
   timerFont: "'Nunito', sans-serif",
@@ -13,3 +35,118 @@ export const defaultSettings = {
   timerShadowX: 2,
   timerShadowY: 2,
 };
+
+// What each setting accepts. "integer" and "number" take numeric strings too, min and max are
+// inclusive and "above" is exclusive
+export const settingsSchema = {
+  regularSubTime: { type: "number", min: 0 },
+  tier2SubTime: { type: "number", min: 0 },
+  tier3SubTime: { type: "number", min: 0 },
+  primeSubTime: { type: "number", min: 0 },
+  giftSubTime: { type: "number", min: 0 },
+  bitsTimePer100: { type: "number", min: 0 },
+  minimumBits: { type: "integer", min: 0 },
+  giftUpgradeTime: { type: "number", min: 0 },
+  primeUpgradeTime: { type: "number", min: 0 },
+  payForwardTime: { type: "number", min: 0 },
+  raidTime: { type: "number", min: 0 },
+  raidViewersPerUnit: { type: "integer", min: 1 },
+  minimumRaidViewers: { type: "integer", min: 0 },
+  anonymousGifterName: { type: "string", minLength: 1, maxLength: 100 },
+  maxTimerSeconds: { type: "integer", min: 0 },
+  maxSubathonSeconds: { type: "integer", min: 0 },
+  leaderboardSize: { type: "integer", min: 1 },
+  leaderboardWindowHours: { type: "number", above: 0 },
+  restorePolicy: { type: "enum", values: RESTORE_POLICIES },
+  restoreThresholdSeconds: { type: "integer", min: 0 },
+  timerSize: { type: "number", min: 0 },
+  timerColor: { type: "color" },
+  timerFont: { type: "font" },
+  timerShadowColor: { type: "color" },
+  timerShadowBlur: { type: "number", min: 0 },
+  timerShadowOpacity: { type: "number", min: 0, max: 1 },
+  timerShadowX: { type: "number" },
+  timerShadowY: { type: "number" },
+};
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+// A CSS font-family list: quoted names or bare identifiers, nothing that could end the rule
+const FONT_FAMILY = `(?:'[^'"\\;{}<>]+'|"[^'"\\;{}<>]+"|[a-z0-9][a-z0-9 -]*)`;
+const FONT_PATTERN = new RegExp(`^\\s*${FONT_FAMILY}(?:\\s*,\\s*${FONT_FAMILY})*\\s*$`, "i");
+
+// Returns [value, null] or [null, error message]
+const checkSetting = (rule, raw) => {
+  switch (rule.type) {
+    case "number":
+    case "integer": {
+      const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [null, "must be a number"];
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return [null, "must be a whole number"];
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return [null, `must be at least ${rule.min}`];
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return [null, `must be at most ${rule.max}`];
+      }
+      if (rule.above !== undefined && value <= rule.above) {
+        return [null, `must be greater than ${rule.above}`];
+      }
+      return [value, null];
+    }
+    case "string": {
+      if (typeof raw !== "string") return [null, "must be a string"];
+      const value = raw.trim();
+      if (value.length < rule.minLength) return [null, "must not be empty"];
+      if (value.length > rule.maxLength) {
+        return [null, `must be at most ${rule.maxLength} characters`];
+      }
+      return [value, null];
+    }
+    case "enum":
+      return rule.values.includes(raw)
+        ? [raw, null]
+        : [null, `must be one of: ${rule.values.join(", ")}`];
+    case "color":
+      return typeof raw === "string" && COLOR_PATTERN.test(raw.trim())
+        ? [raw.trim(), null]
+        : [null, "must be a hex color like #60e9b9"];
+    case "font":
+      return typeof raw === "string" && FONT_PATTERN.test(raw)
+        ? [raw.trim(), null]
+        : [null, "must be a CSS font-family list like 'Nunito', sans-serif"];
+    default:
+      return [null, "has no schema"];
+  }
+};
+
+// Checks a partial settings object against the schema. Missing keys, null and blank numbers
+// count as not provided; unknown keys are reported unless dropUnknown is set
+export const validateSettings = (input, { dropUnknown = false } = {}) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { values: {}, errors: { settings: "must be an object" } };
+  }
+
+  const values = {};
+  const errors = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const rule = settingsSchema[key];
+    if (!rule) {
+      if (!dropUnknown) errors[key] = "is not a known setting";
+      continue;
+    }
+    if (raw === undefined || raw === null) continue;
+    if (raw === "" && (rule.type === "number" || rule.type === "integer")) continue;
+
+    const [value, error] = checkSetting(rule, raw);
+    if (error) {
+      errors[key] = error;
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, errors };
+};
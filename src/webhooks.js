@@ -0,0 +1,397 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+
+// Broadcast types a webhook can subscribe to; the per-second timer_update and timer_sync
+// ticks are left out on purpose, that is what the WebSocket is for
+export const WEBHOOK_EVENTS = [
+  "timer_started",
+  "timer_stopped",
+  "timer_reset",
+  "timer_ended",
+  "time_added",
+  "time_reversed",
+  "subscription",
+  "gift_bomb",
+  "cheer",
+  "raid",
+  "milestone_reached",
+  "goal_update",
+  "multiplier_started",
+  "multiplier_ended",
+  "leaderboard_update",
+  "bank_update",
+  "settings_updated",
+  "settings_reverted",
+  "preset_applied",
+  "state_restored",
+  "restore_report",
+];
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Worth trying again later; any other 4xx means the receiver rejected the payload itself
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+class WebhookManager {
+  constructor() {
+    this.webhooks = [];
+    // Recent deliveries, newest last; only deliveries that gave up are persisted
+    this.deliveries = [];
+    this.maxDeliveries = 200;
+    this.deadLetters = [];
+    this.maxDeadLetters = 100;
+    this.maxAttempts = 5;
+    this.retryBaseMs = 5000;
+    this.requestTimeoutMs = 10000;
+    this.retryTimers = new Set();
+    // Kept in their own file rather than the timer state, so signing secrets never end up in
+    // state snapshots
+    this.filePath = null;
+    this.loadedFromFile = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level.toUpperCase()}] [Webhooks] ${message}`);
+    if (data) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
+  setFilePath(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+    try {
+      this.restoreState(JSON.parse(await fs.readFile(this.filePath, "utf8")));
+      this.loadedFromFile = true;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.log("error", "Failed to load webhooks", error.message);
+      }
+    }
+  }
+
+  // Older installs kept webhooks in the timer state; move them over once
+  importLegacyState(saved) {
+    if (this.loadedFromFile || !saved) return;
+    this.restoreState(saved);
+    this.loadedFromFile = true;
+    this.saveState();
+  }
+
+  saveState() {
+    if (!this.filePath) return;
+    // Chain writes so an older list never lands on disk after a newer one
+    const data = JSON.stringify(this.getPersistedState(), null, 2);
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeFile(this.filePath, data, { mode: 0o600 }))
+      .catch((error) => this.log("error", "Failed to save webhooks", error.message));
+    return this.writeQueue;
+  }
+
+  validateWebhook(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    let url;
+    try {
+      url = new URL(merged.url);
+    } catch (error) {
+      throw new Error("url must be a valid URL");
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error("url must use http or https");
+    }
+
+    if (!Array.isArray(merged.events) || merged.events.length === 0) {
+      throw new Error(`events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    const unknown = merged.events.filter(
+      (event) => event !== "*" && !WEBHOOK_EVENTS.includes(event)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook event(s): ${unknown.join(", ")}`);
+    }
+
+    const secret = merged.secret ?? crypto.randomBytes(32).toString("hex");
+    if (typeof secret !== "string" || secret.length < 16) {
+      throw new Error("secret must be at least 16 characters");
+    }
+    if (merged.enabled !== undefined && typeof merged.enabled !== "boolean") {
+      throw new Error("enabled must be true or false");
+    }
+    if (merged.description != null && typeof merged.description !== "string") {
+      throw new Error("description must be a string");
+    }
+
+    return {
+      url: url.toString(),
+      events: [...new Set(merged.events)],
+      secret,
+      description: merged.description?.trim() || null,
+      enabled: merged.enabled ?? true,
+    };
+  }
+
+  // The secret is only shown when a webhook is created
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  getWebhooks() {
+    return this.webhooks.map((webhook) => this.toPublic(webhook));
+  }
+
+  getWebhook(id) {
+    return this.webhooks.find((webhook) => webhook.id === id) || null;
+  }
+
+  createWebhook(input) {
+    const now = Date.now();
+    const webhook = {
+      id: crypto.randomUUID(),
+      ...this.validateWebhook(input),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.webhooks.push(webhook);
+    this.log("info", `Created webhook for ${webhook.url}`, { events: webhook.events });
+    this.saveState();
+    return webhook;
+  }
+
+  updateWebhook(id, input) {
+    const index = this.webhooks.findIndex((webhook) => webhook.id === id);
+    if (index === -1) return null;
+
+    const existing = this.webhooks[index];
+    const webhook = {
+      ...existing,
+      ...this.validateWebhook(input, existing),
+      updatedAt: Date.now(),
+    };
+    this.webhooks[index] = webhook;
+    this.log("info", `Updated webhook for ${webhook.url}`, { events: webhook.events });
+    this.saveState();
+    return this.toPublic(webhook);
+  }
+
+  deleteWebhook(id) {
+    const index = this.webhooks.findIndex((webhook) => webhook.id === id);
+    if (index === -1) return false;
+
+    const [webhook] = this.webhooks.splice(index, 1);
+    this.log("info", `Removed webhook for ${webhook.url}`);
+    this.saveState();
+    return true;
+  }
+
+  // Called with every broadcast; deliveries run in the background so a slow receiver never
+  // holds up the overlay
+  handleBroadcast(data) {
+    if (!data || !WEBHOOK_EVENTS.includes(data.type)) return;
+
+    for (const webhook of this.webhooks) {
+      if (!webhook.enabled) continue;
+      if (!webhook.events.includes("*") && !webhook.events.includes(data.type)) continue;
+      this.queueDelivery(webhook, data.type, data);
+    }
+  }
+
+  // A ping that goes straight to one webhook, whatever it is subscribed to
+  sendTest(id) {
+    const webhook = this.getWebhook(id);
+    if (!webhook) return null;
+    return this.queueDelivery(webhook, "ping", { type: "ping", message: "Webhook test" });
+  }
+
+  queueDelivery(webhook, event, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      payload: { id: null, event, timestamp: Date.now(), data },
+      status: "pending",
+      attempts: 0,
+      lastStatusCode: null,
+      lastError: null,
+      createdAt: Date.now(),
+      completedAt: null,
+      nextAttemptAt: null,
+    };
+    delivery.payload.id = delivery.id;
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.maxDeliveries) {
+      this.deliveries.splice(0, this.deliveries.length - this.maxDeliveries);
+    }
+
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    const webhook = this.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      this.fail(delivery, "Webhook was removed");
+      return;
+    }
+
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let retryable = true;
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "subathon-timer-server",
+          "X-Subathon-Event": delivery.event,
+          "X-Subathon-Delivery": delivery.id,
+          "X-Subathon-Timestamp": String(timestamp),
+          "X-Subathon-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.requestTimeoutMs),
+      });
+      delivery.lastStatusCode = response.status;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+
+      if (response.ok) {
+        delivery.status = "delivered";
+        delivery.lastError = null;
+        delivery.completedAt = Date.now();
+        return;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+      retryable = isRetryableStatus(response.status);
+    } catch (error) {
+      delivery.lastError = error.name === "TimeoutError" ? "Request timed out" : error.message;
+    }
+
+    if (!retryable || delivery.attempts >= this.maxAttempts) {
+      this.fail(delivery, delivery.lastError);
+      return;
+    }
+
+    // 5s, 10s, 20s, 40s, with some jitter so a receiver coming back isn't hit all at once
+    const delayMs = this.retryBaseMs * 2 ** (delivery.attempts - 1) * (0.8 + Math.random() * 0.4);
+    delivery.status = "retrying";
+    delivery.nextAttemptAt = Date.now() + Math.round(delayMs);
+    this.log(
+      "warn",
+      `Delivery ${delivery.id} (${delivery.event}) to ${delivery.url} failed, retrying in ${Math.round(delayMs / 1000)}s`,
+      delivery.lastError
+    );
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.attempt(delivery);
+    }, delayMs);
+    timer.unref();
+    this.retryTimers.add(timer);
+  }
+
+  fail(delivery, reason) {
+    delivery.status = "dead";
+    delivery.lastError = reason;
+    delivery.completedAt = Date.now();
+
+    this.deadLetters.push(delivery);
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+    this.log(
+      "error",
+      `Delivery ${delivery.id} (${delivery.event}) to ${delivery.url} gave up after ${delivery.attempts} attempt(s)`,
+      reason
+    );
+    this.saveState();
+  }
+
+  // Newest first, optionally for one webhook or in one status
+  getDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+    const source = status === "dead" ? this.deadLetters : this.deliveries;
+    return [...source]
+      .reverse()
+      .filter((delivery) => !webhookId || delivery.webhookId === webhookId)
+      .filter((delivery) => !status || delivery.status === status)
+      .slice(0, limit);
+  }
+
+  // Sends a dead letter again as a fresh delivery with the same payload
+  redeliver(deliveryId) {
+    const index = this.deadLetters.findIndex((delivery) => delivery.id === deliveryId);
+    if (index === -1) return null;
+
+    const [dead] = this.deadLetters.splice(index, 1);
+    const webhook = this.getWebhook(dead.webhookId);
+    if (!webhook) {
+      this.deadLetters.splice(index, 0, dead);
+      throw new Error("The webhook for this delivery no longer exists");
+    }
+    this.saveState();
+    return this.queueDelivery(webhook, dead.event, dead.payload.data);
+  }
+
+  // Deliveries still waiting for a retry are dropped; resolves once the last save is written
+  cleanup() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    return this.writeQueue;
+  }
+
+  getStats() {
+    const counts = {};
+    for (const delivery of this.deliveries) {
+      counts[delivery.status] = (counts[delivery.status] || 0) + 1;
+    }
+    return {
+      webhooks: this.webhooks.length,
+      enabled: this.webhooks.filter((webhook) => webhook.enabled).length,
+      recentDeliveries: counts,
+      deadLetters: this.deadLetters.length,
+    };
+  }
+
+  getPersistedState() {
+    return { webhooks: this.webhooks, deadLetters: this.deadLetters };
+  }
+
+  restoreState(saved) {
+    if (!saved || typeof saved !== "object") return;
+
+    this.webhooks = [];
+    for (const webhook of Array.isArray(saved.webhooks) ? saved.webhooks : []) {
+      try {
+        this.webhooks.push({
+          id: webhook.id || crypto.randomUUID(),
+          ...this.validateWebhook(webhook),
+          createdAt: webhook.createdAt || Date.now(),
+          updatedAt: webhook.updatedAt || webhook.createdAt || Date.now(),
+        });
+      } catch (error) {
+        this.log("warn", `Dropping invalid saved webhook ${webhook && webhook.url}`, error.message);
+      }
+    }
+    this.deadLetters = Array.isArray(saved.deadLetters) ? saved.deadLetters : [];
+    this.log(
+      "info",
+      `Restored ${this.webhooks.length} webhook(s) and ${this.deadLetters.length} dead letter(s)`
+    );
+  }
+}
+
+export const webhookManager = new WebhookManager();
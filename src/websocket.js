@@ -1,4 +1,49 @@
 import { WebSocketServer } from "ws";
+import { authManager } from "./auth.js";
+import { runAdminCommand } from "./commands.js";
+import { alertQueue } from "./alerts.js";
+import { broadcastLog } from "./broadcastLog.js";
+
+export const TOPICS = ["timer", "alerts", "style", "goals", "admin"];
+
+// Topics that carry settings diffs and restore reports; same role as the matching HTTP routes
+const TOPIC_ROLES = {
+  admin: "moderator",
+};
+
+// Which topic each broadcast type belongs to. Anything not listed goes to every client, as do
+// direct replies like pong and protocol_set
+export const MESSAGE_TOPICS = {
+  timer_update: "timer",
+  timer_sync: "timer",
+  timer_started: "timer",
+  timer_stopped: "timer",
+  timer_reset: "timer",
+  timer_ended: "timer",
+  time_added: "timer",
+  time_reversed: "timer",
+  bank_update: "timer",
+  multiplier_status: "timer",
+  multiplier_started: "timer",
+  multiplier_ended: "timer",
+  state_restored: "timer",
+  subscription: "alerts",
+  gift_bomb: "alerts",
+  cheer: "alerts",
+  raid: "alerts",
+  milestone_reached: "alerts",
+  alert_show: "alerts",
+  alert_done: "alerts",
+  alert_queue: "alerts",
+  timer_style_update: "style",
+  timer_size_update: "style",
+  goal_update: "goals",
+  leaderboard_update: "goals",
+  settings_updated: "admin",
+  settings_reverted: "admin",
+  preset_applied: "admin",
+  restore_report: "admin",
+};
 
 class WebSocketManager {
   constructor() {
@@ -7,6 +52,10 @@ class WebSocketManager {
     this.heartbeatInterval = null;
     this.heartbeatIntervalMs = 30000; // 30 seconds
     this.onClientConnected = null;
+    // "tick" clients get a timer_update every second; "sync" clients get timer_sync
+    // only when the deadline changes and count down locally in between
+    this.protocols = ["tick", "sync"];
+    this.tickOnlyTypes = new Set(["timer_update"]);
   }
 
   log(level, message, data = null) {
@@ -36,6 +85,16 @@ class WebSocketManager {
         // Add client to our set
         this.clients.add(ws);
 
+        // Clients opt into the sync protocol with ?protocol=sync on the socket URL
+        ws.protocolMode = this.getRequestedProtocol(request);
+        // Every open topic until the client says otherwise, with ?topics= or a subscribe
+        // message. Role-gated topics need an auth message and a subscribe after it
+        ws.topics = this.getRequestedTopics(request);
+
+        // Admin commands need an auth message first
+        ws.auth = null;
+        ws.remoteAddress = request.socket.remoteAddress;
+
         // Mark client as alive
         ws.isAlive = true;
         ws.connectionTime = Date.now();
@@ -48,6 +107,10 @@ class WebSocketManager {
         this.sendToClient(ws, {
           type: "connection_established",
           timestamp: Date.now(),
+          protocol: ws.protocolMode,
+          topics: Array.from(ws.topics),
+          epoch: broadcastLog.epoch,
+          seq: broadcastLog.sequence,
         });
 
         // Allow server to send an immediate snapshot (e.g., current timer state)
@@ -77,15 +140,211 @@ class WebSocketManager {
     }
   }
 
+  getRequestedProtocol(request) {
+    try {
+      const url = new URL(request.url, "http://localhost");
+      const protocol = url.searchParams.get("protocol");
+      return this.protocols.includes(protocol) ? protocol : "tick";
+    } catch (error) {
+      return "tick";
+    }
+  }
+
+  getRequestedTopics(request) {
+    try {
+      const url = new URL(request.url, "http://localhost");
+      const requested = url.searchParams.get("topics");
+      if (requested) {
+        const topics = requested
+          .split(",")
+          .filter((topic) => TOPICS.includes(topic) && !TOPIC_ROLES[topic]);
+        if (topics.length > 0) return new Set(topics);
+      }
+    } catch (error) {
+      // Fall through to every open topic
+    }
+    return new Set(TOPICS.filter((topic) => !TOPIC_ROLES[topic]));
+  }
+
+  canSubscribe(ws, topic) {
+    const role = TOPIC_ROLES[topic];
+    return !role || authManager.hasRole(ws.auth, role);
+  }
+
+  // Untopiced messages go to everyone. The role is checked again on delivery in case the
+  // client's token was swapped for a weaker one
+  isSubscribed(ws, data) {
+    const topic = MESSAGE_TOPICS[data.type];
+    return !topic || (ws.topics.has(topic) && this.canSubscribe(ws, topic));
+  }
+
+  shouldReceive(ws, data) {
+    if (this.tickOnlyTypes.has(data.type) && ws.protocolMode === "sync") return false;
+    return this.isSubscribed(ws, data);
+  }
+
+  handleSubscribe(ws, data) {
+    const topics = Array.isArray(data.topics) ? data.topics : [];
+    const unknown = topics.filter((topic) => !TOPICS.includes(topic));
+    if (topics.length === 0 || unknown.length > 0) {
+      this.sendToClient(ws, {
+        type: "error",
+        message:
+          unknown.length > 0
+            ? `Unknown topic(s): ${unknown.join(", ")}`
+            : `topics must list at least one of: ${TOPICS.join(", ")}`,
+      });
+      return;
+    }
+
+    const forbidden = topics.filter((topic) => !this.canSubscribe(ws, topic));
+    if (forbidden.length > 0) {
+      this.sendToClient(ws, {
+        type: "error",
+        message: forbidden
+          .map((topic) => `Subscribing to ${topic} requires ${TOPIC_ROLES[topic]} role`)
+          .join("; "),
+      });
+      return;
+    }
+
+    const added = topics.filter((topic) => !ws.topics.has(topic));
+    ws.topics = new Set(topics);
+    this.sendToClient(ws, { type: "subscribed", topics: Array.from(ws.topics) });
+
+    // Catch the client up on topics it just joined
+    if (added.length > 0 && typeof this.onClientConnected === "function") {
+      this.onClientConnected(ws, added);
+    }
+  }
+
+  // Tokens are sent as a message rather than in the URL, where they would end up in logs
+  handleAuth(ws, data) {
+    const identity = authManager.authenticate(data.token);
+    if (!identity) {
+      authManager.recordFailure("invalid token", ws.remoteAddress, "WebSocket auth");
+      this.sendToClient(ws, {
+        type: "error",
+        requestId: data.requestId ?? null,
+        command: "auth",
+        message: "Invalid token",
+      });
+      return;
+    }
+
+    ws.auth = identity;
+    this.log("info", `Client authenticated as ${identity.name} (${identity.role})`);
+    this.sendToClient(ws, {
+      type: "ack",
+      requestId: data.requestId ?? null,
+      command: "auth",
+      role: identity.role,
+      name: identity.name,
+    });
+  }
+
+  handleCommand(ws, data) {
+    const requestId = data.requestId ?? null;
+    try {
+      const result = runAdminCommand(data.command, data.params, ws.auth);
+      this.log("info", `Command ${data.command} from ${ws.auth.name}`);
+      this.sendToClient(ws, { type: "ack", requestId, command: data.command, ...result });
+    } catch (error) {
+      if (!ws.auth) {
+        authManager.recordFailure("unauthenticated command", ws.remoteAddress, "WebSocket command");
+      }
+      this.sendToClient(ws, {
+        type: "error",
+        requestId,
+        command: data.command ?? null,
+        message: error.message,
+        ...error.details,
+      });
+    }
+  }
+
+  // Sends what the client missed since lastSeq, or tells it to resync when that's no longer
+  // in the buffer (or came from an earlier server run) and sends a fresh snapshot instead
+  handleResume(ws, data) {
+    const lastSeq = data.lastSeq;
+    const { reason, messages } = broadcastLog.getMissed(data.epoch, lastSeq);
+
+    if (reason) {
+      this.sendToClient(ws, {
+        type: "resync",
+        reason,
+        epoch: broadcastLog.epoch,
+        seq: broadcastLog.sequence,
+      });
+      if (typeof this.onClientConnected === "function") {
+        this.onClientConnected(ws);
+      }
+      return;
+    }
+
+    let replayed = 0;
+    for (const message of messages) {
+      if (!this.shouldReceive(ws, message)) continue;
+      if (!this.sendToClient(ws, message)) return;
+      replayed++;
+    }
+    const alertStatus = alertQueue.getStatusMessage();
+    if (this.shouldReceive(ws, alertStatus)) {
+      this.sendToClient(ws, alertStatus);
+    }
+    this.sendToClient(ws, {
+      type: "resumed",
+      fromSeq: lastSeq,
+      seq: broadcastLog.sequence,
+      replayed,
+    });
+    this.log("info", `Client resumed from ${lastSeq}, replayed ${replayed} message(s)`);
+  }
+
   setupClientHandlers(ws) {
     // Handle client messages (ping/pong for heartbeat)
     ws.on("message", (message) => {
       try {
-        ws.lastActivity = Date.now();
+        const receivedAt = Date.now();
+        ws.lastActivity = receivedAt;
         const data = JSON.parse(message.toString());
 
         if (data.type === "ping") {
-          this.sendToClient(ws, { type: "pong", timestamp: Date.now() });
+          // Echo the client's clock so it can work out its offset from the server:
+          // offset = ((receivedAt - clientTime) + (timestamp - clientReceiveTime)) / 2
+          this.sendToClient(ws, {
+            type: "pong",
+            timestamp: Date.now(),
+            receivedAt,
+            clientTime: Number.isFinite(data.clientTime) ? data.clientTime : null,
+          });
+        } else if (data.type === "alert_ack") {
+          // Only overlays that are showing alerts get a say in when the next one plays
+          if (ws.topics.has("alerts")) {
+            alertQueue.acknowledge(data.alertId);
+          }
+        } else if (data.type === "resume") {
+          this.handleResume(ws, data);
+        } else if (data.type === "auth") {
+          this.handleAuth(ws, data);
+        } else if (data.type === "command") {
+          this.handleCommand(ws, data);
+        } else if (data.type === "subscribe") {
+          this.handleSubscribe(ws, data);
+        } else if (data.type === "set_protocol") {
+          if (this.protocols.includes(data.protocol)) {
+            ws.protocolMode = data.protocol;
+            this.sendToClient(ws, { type: "protocol_set", protocol: ws.protocolMode });
+            // Resend the snapshot in the format the client now expects
+            if (typeof this.onClientConnected === "function") {
+              this.onClientConnected(ws);
+            }
+          } else {
+            this.sendToClient(ws, {
+              type: "error",
+              message: `Unknown protocol: ${data.protocol}`,
+            });
+          }
         }
       } catch (error) {
         this.log("warn", "Invalid message received from client", error.message);
@@ -205,6 +464,7 @@ class WebSocketManager {
     this.onClientConnected = callback;
   }
 
+  // Takes a message already numbered by the broadcast log
   broadcast(data) {
     if (!data) {
       this.log("warn", "Attempted to broadcast null/undefined data");
@@ -228,6 +488,9 @@ class WebSocketManager {
 
     for (const client of this.clients) {
       try {
+        if (!this.shouldReceive(client, data)) {
+          continue;
+        }
         if (client.readyState === client.OPEN) {
           client.send(msg);
           client.lastActivity = Date.now();
@@ -257,6 +520,16 @@ class WebSocketManager {
     return { sent: sentCount, failed: failedCount, removed: deadClients.length };
   }
 
+  // Goes only to clients on one protocol and isn't numbered or kept for replay
+  sendToProtocol(protocol, data) {
+    let sentCount = 0;
+    for (const client of this.clients) {
+      if (client.protocolMode !== protocol || !this.shouldReceive(client, data)) continue;
+      if (this.sendToClient(client, data)) sentCount++;
+    }
+    return { sent: sentCount };
+  }
+
   getClientCount() {
     return this.clients.size;
   }
@@ -265,9 +538,19 @@ class WebSocketManager {
     const now = Date.now();
     const clientStats = [];
 
+    const protocolCounts = Object.fromEntries(this.protocols.map((protocol) => [protocol, 0]));
+    const topicCounts = Object.fromEntries(TOPICS.map((topic) => [topic, 0]));
+
     for (const client of this.clients) {
+      protocolCounts[client.protocolMode] = (protocolCounts[client.protocolMode] || 0) + 1;
+      for (const topic of client.topics) {
+        topicCounts[topic]++;
+      }
       clientStats.push({
         readyState: client.readyState,
+        protocol: client.protocolMode,
+        topics: Array.from(client.topics),
+        authenticated: !!client.auth,
         isAlive: client.isAlive,
         connectionTime: client.connectionTime,
         lastActivity: client.lastActivity,
@@ -278,6 +561,9 @@ class WebSocketManager {
 
     return {
       totalClients: this.clients.size,
+      protocols: protocolCounts,
+      topics: topicCounts,
+      ...broadcastLog.getStats(),
       heartbeatInterval: this.heartbeatIntervalMs,
       clients: clientStats,
     };
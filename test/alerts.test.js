@@ -0,0 +1,235 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { ALERT_TYPES, alertQueue } from "../src/alerts.js";
+
+let broadcasts;
+
+const typesOf = (alerts) => alerts.map((alert) => alert.type);
+const shown = () => broadcasts.filter((message) => message.type === "alert_show");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  alertQueue.cleanup();
+  alertQueue.queue = [];
+  alertQueue.current = null;
+  alertQueue.paused = false;
+  alertQueue.history = [];
+  alertQueue.setSaveStateCallback(null);
+  broadcasts = [];
+  alertQueue.setBroadcastCallback((data) => broadcasts.push(data));
+});
+
+afterEach(() => {
+  alertQueue.cleanup();
+  mock.restoreAll();
+});
+
+describe("queueing", () => {
+  it("only queues broadcasts that are alerts", () => {
+    alertQueue.handleBroadcast({ type: "timer_sync" });
+    alertQueue.handleBroadcast(null);
+    assert.equal(alertQueue.current, null);
+    assert.equal(broadcasts.length, 0);
+  });
+
+  it("shows an alert straight away when nothing is on screen", () => {
+    alertQueue.handleBroadcast({ type: "cheer", bits: 100 });
+
+    assert.equal(alertQueue.current.type, "cheer");
+    assert.equal(alertQueue.current.data.bits, 100);
+    assert.equal(shown().length, 1);
+    assert.ok(alertQueue.current.shownAt);
+  });
+
+  it("puts higher priorities first and keeps arrival order otherwise", () => {
+    alertQueue.setPaused(true);
+    alertQueue.enqueue({ type: "subscription" });
+    alertQueue.enqueue({ type: "cheer" });
+    alertQueue.enqueue({ type: "raid" });
+    alertQueue.enqueue({ type: "gift_bomb" });
+    alertQueue.enqueue({ type: "milestone_reached" });
+
+    assert.deepEqual(typesOf(alertQueue.queue), [
+      "gift_bomb",
+      "raid",
+      "milestone_reached",
+      "subscription",
+      "cheer",
+    ]);
+  });
+
+  it("drops the lowest priority alert when full", () => {
+    alertQueue.maxQueue = 2;
+    try {
+      alertQueue.setPaused(true);
+      alertQueue.enqueue({ type: "cheer" });
+      alertQueue.enqueue({ type: "subscription" });
+      alertQueue.enqueue({ type: "raid" });
+
+      assert.deepEqual(typesOf(alertQueue.queue), ["raid", "cheer"]);
+    } finally {
+      alertQueue.maxQueue = 200;
+    }
+  });
+});
+
+describe("acknowledging and skipping", () => {
+  it("moves on once the alert on screen is acknowledged", () => {
+    const first = alertQueue.enqueue({ type: "cheer" });
+    const second = alertQueue.enqueue({ type: "subscription" });
+
+    assert.equal(alertQueue.acknowledge(second.id), false);
+    assert.equal(alertQueue.current.id, first.id);
+
+    assert.equal(alertQueue.acknowledge(first.id), true);
+    assert.ok(
+      broadcasts.some((message) => message.type === "alert_done" && message.alertId === first.id)
+    );
+    assert.equal(alertQueue.current.id, second.id);
+    assert.deepEqual(
+      alertQueue.history.map((alert) => alert.id),
+      [first.id]
+    );
+  });
+
+  it("ignores a second ack for the same alert", () => {
+    const first = alertQueue.enqueue({ type: "cheer" });
+    alertQueue.acknowledge(first.id);
+    assert.equal(alertQueue.acknowledge(first.id), false);
+  });
+
+  it("skips the alert on screen", () => {
+    const first = alertQueue.enqueue({ type: "cheer" });
+    alertQueue.enqueue({ type: "raid" });
+
+    assert.equal(alertQueue.skip().id, first.id);
+    assert.equal(alertQueue.current.type, "raid");
+  });
+
+  it("has nothing to skip when nothing is on screen", () => {
+    assert.equal(alertQueue.skip(), null);
+  });
+
+  it("moves on by itself when nobody acknowledges", async () => {
+    const previousGrace = alertQueue.ackGraceMs;
+    const previousDuration = ALERT_TYPES.cheer.durationMs;
+    alertQueue.ackGraceMs = 0;
+    ALERT_TYPES.cheer.durationMs = 10;
+    try {
+      const first = alertQueue.enqueue({ type: "cheer" });
+      await sleep(30);
+
+      assert.equal(alertQueue.current, null);
+      assert.equal(alertQueue.history[0].id, first.id);
+    } finally {
+      alertQueue.ackGraceMs = previousGrace;
+      ALERT_TYPES.cheer.durationMs = previousDuration;
+    }
+  });
+});
+
+describe("pausing", () => {
+  it("holds alerts while paused and shows them on resume", () => {
+    alertQueue.setPaused(true);
+    alertQueue.enqueue({ type: "cheer" });
+
+    assert.equal(alertQueue.current, null);
+    assert.equal(shown().length, 0);
+    assert.equal(alertQueue.getStatusMessage().queued, 1);
+
+    alertQueue.setPaused(false);
+    assert.equal(alertQueue.current.type, "cheer");
+    assert.equal(shown().length, 1);
+  });
+
+  it("lets the alert on screen play out when cleared", () => {
+    alertQueue.enqueue({ type: "cheer" });
+    alertQueue.enqueue({ type: "subscription" });
+
+    assert.equal(alertQueue.clear(), 1);
+    assert.equal(alertQueue.current.type, "cheer");
+    assert.equal(alertQueue.queue.length, 0);
+  });
+});
+
+describe("replay", () => {
+  it("queues a copy of a shown alert", () => {
+    const first = alertQueue.enqueue({ type: "raid", raider: "someone" });
+    alertQueue.acknowledge(first.id);
+
+    const replay = alertQueue.replay(first.id);
+    assert.notEqual(replay.id, first.id);
+    assert.equal(replay.replayOf, first.id);
+    assert.equal(replay.data.raider, "someone");
+    assert.equal(alertQueue.current.id, replay.id);
+  });
+
+  it("can replay the alert on screen", () => {
+    const first = alertQueue.enqueue({ type: "cheer" });
+    const replay = alertQueue.replay(first.id);
+
+    assert.equal(alertQueue.current.id, first.id);
+    assert.equal(alertQueue.queue[0].id, replay.id);
+  });
+
+  it("returns null for an unknown alert", () => {
+    assert.equal(alertQueue.replay("missing"), null);
+  });
+});
+
+describe("persisted state", () => {
+  it("puts the alert on screen back at the front", () => {
+    const first = alertQueue.enqueue({ type: "cheer" });
+    alertQueue.enqueue({ type: "subscription" });
+
+    const saved = alertQueue.getPersistedState();
+    assert.deepEqual(typesOf(saved.queue), ["cheer", "subscription"]);
+    assert.equal(saved.queue[0].id, first.id);
+    assert.equal(saved.queue[0].shownAt, null);
+    assert.ok(alertQueue.current.shownAt);
+  });
+
+  it("restores valid alerts and drops the rest", () => {
+    const saved = {
+      paused: true,
+      queue: [
+        { id: "a", type: "cheer", data: { type: "cheer" } },
+        { id: "b", type: "unknown", data: {} },
+        { id: 3, type: "raid", data: {} },
+        null,
+      ],
+      history: "not a list",
+    };
+    alertQueue.restoreState(saved);
+
+    assert.equal(alertQueue.paused, true);
+    assert.deepEqual(
+      alertQueue.queue.map((alert) => alert.id),
+      ["a"]
+    );
+    assert.deepEqual(alertQueue.history, []);
+  });
+
+  it("ignores a missing saved state", () => {
+    alertQueue.restoreState(undefined);
+    assert.equal(alertQueue.paused, false);
+  });
+
+  it("saves a burst of changes once", async () => {
+    let saves = 0;
+    const previousDelay = alertQueue.saveDelayMs;
+    alertQueue.saveDelayMs = 10;
+    alertQueue.setSaveStateCallback(() => saves++);
+    try {
+      alertQueue.enqueue({ type: "gift_bomb" });
+      alertQueue.enqueue({ type: "subscription" });
+      alertQueue.enqueue({ type: "subscription" });
+      await sleep(30);
+
+      assert.equal(saves, 1);
+    } finally {
+      alertQueue.saveDelayMs = previousDelay;
+    }
+  });
+});
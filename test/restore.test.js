@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { planRestore, restoreManager } from "../src/restore.js";
+import { timerManager } from "../src/timer.js";
+import { defaultSettings } from "../src/types.js";
+
+const settingsFor = (restorePolicy) => ({
+  ...defaultSettings,
+  restorePolicy,
+  restoreThresholdSeconds: 300,
+});
+
+describe("planRestore", () => {
+  it("keeps a paused timer paused whatever the policy", () => {
+    for (const policy of ["resume", "pause", "deduct", "freeze"]) {
+      const plan = planRestore({ isActive: false }, settingsFor(policy), 60 * 1000);
+      assert.equal(plan.resume, false, policy);
+      assert.equal(plan.deduct, false, policy);
+    }
+  });
+
+  it("always resumes and deducts with resume", () => {
+    const plan = planRestore({ isActive: true }, settingsFor("resume"), 3600 * 1000);
+    assert.equal(plan.resume, true);
+    assert.equal(plan.deduct, true);
+  });
+
+  it("never resumes with pause", () => {
+    const plan = planRestore({ isActive: true }, settingsFor("pause"), 1000);
+    assert.equal(plan.resume, false);
+    assert.equal(plan.deduct, false);
+  });
+
+  it("resumes within the threshold, deducting only with deduct", () => {
+    const deduct = planRestore({ isActive: true }, settingsFor("deduct"), 60 * 1000);
+    assert.equal(deduct.resume, true);
+    assert.equal(deduct.deduct, true);
+
+    const freeze = planRestore({ isActive: true }, settingsFor("freeze"), 60 * 1000);
+    assert.equal(freeze.resume, true);
+    assert.equal(freeze.deduct, false);
+  });
+
+  it("restores paused at the saved time over the threshold", () => {
+    for (const policy of ["deduct", "freeze"]) {
+      const plan = planRestore({ isActive: true }, settingsFor(policy), 600 * 1000);
+      assert.equal(plan.resume, false, policy);
+      assert.equal(plan.deduct, false, policy);
+    }
+  });
+
+  it("falls back to deduct for an unknown policy", () => {
+    const plan = planRestore({ isActive: true }, settingsFor("bogus"), 60 * 1000);
+    assert.equal(plan.policy, "deduct");
+  });
+});
+
+describe("override", () => {
+  let broadcasts;
+
+  // The timer as the startup restore left it
+  const restored = ({ seconds, isActive, ...report }) => {
+    timerManager.halt();
+    timerManager.timerState.settings = { ...defaultSettings };
+    timerManager.setRemainingMs(seconds * 1000);
+    timerManager.setElapsedMs(1000 * 1000);
+    if (isActive) timerManager.start();
+    restoreManager.setReport({
+      wasActive: true,
+      downtimeMs: 60 * 1000,
+      resumed: isActive,
+      timeRemaining: seconds,
+      ...report,
+    });
+    broadcasts = [];
+  };
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    broadcasts = [];
+    restoreManager.setBroadcastCallback((data) => broadcasts.push(data));
+    timerManager.setBroadcastCallback(() => {});
+  });
+
+  afterEach(() => {
+    timerManager.halt();
+    restoreManager.report = null;
+    mock.restoreAll();
+  });
+
+  it("deducts the downtime and resumes when switching to deduct", () => {
+    restored({ seconds: 1000, isActive: false, policy: "pause", reason: "paused", deductedMs: 0 });
+    const report = restoreManager.override("deduct", "mod");
+
+    assert.equal(timerManager.timerState.isActive, true);
+    assert.ok(timerManager.getTimeRemaining() <= 940 && timerManager.getTimeRemaining() >= 939);
+    assert.ok(timerManager.getElapsedMs() >= 1060 * 1000);
+    assert.equal(report.policy, "deduct");
+    assert.equal(report.reason, "Overridden by mod with policy deduct");
+    assert.equal(report.resumed, true);
+    assert.equal(report.deductedMs, 60 * 1000);
+    assert.equal(report.status, "overridden");
+    assert.equal(report.resolvedBy, "mod");
+    assert.deepEqual(report.override, {
+      policy: "deduct",
+      adjustedSeconds: -60,
+      resumed: true,
+      previousPolicy: "pause",
+      previousReason: "paused",
+    });
+    assert.equal(broadcasts.at(-1).type, "restore_report");
+  });
+
+  it("gives back deducted time and stops when switching to pause", () => {
+    restored({
+      seconds: 940,
+      isActive: true,
+      policy: "deduct",
+      reason: "deducted",
+      deductedMs: 60 * 1000,
+    });
+    const report = restoreManager.override("pause", "mod");
+
+    assert.equal(timerManager.timerState.isActive, false);
+    assert.ok(timerManager.getTimeRemaining() >= 999 && timerManager.getTimeRemaining() <= 1000);
+    assert.equal(report.policy, "pause");
+    assert.equal(report.resumed, false);
+    assert.equal(report.deductedMs, 0);
+    assert.equal(report.override.adjustedSeconds, 60);
+  });
+
+  it("rejects an unknown policy without touching the timer", () => {
+    restored({ seconds: 1000, isActive: false, policy: "pause", reason: "paused", deductedMs: 0 });
+
+    assert.throws(() => restoreManager.override("bogus", "mod"), /policy must be one of/);
+    assert.equal(timerManager.getTimeRemaining(), 1000);
+    assert.equal(restoreManager.getReport().status, "pending");
+  });
+
+  it("refuses when the timer was paused when saved", () => {
+    restored({ seconds: 1000, isActive: false, policy: "deduct", reason: "paused", deductedMs: 0 });
+    restoreManager.report.wasActive = false;
+
+    assert.throws(() => restoreManager.override("resume", "mod"), /no downtime to override/);
+  });
+
+  it("does nothing without a report", () => {
+    assert.equal(restoreManager.override("resume", "mod"), null);
+    assert.equal(restoreManager.confirm("mod"), null);
+  });
+
+  it("is pending until confirmed", () => {
+    restored({ seconds: 1000, isActive: false, policy: "pause", reason: "paused", deductedMs: 0 });
+    assert.equal(restoreManager.isPending(), true);
+
+    restoreManager.confirm("mod");
+    assert.equal(restoreManager.isPending(), false);
+    assert.equal(restoreManager.getReport().resolvedBy, "mod");
+  });
+});
@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { timerManager } from "../src/timer.js";
+import { defaultSettings } from "../src/types.js";
+
+let broadcasts;
+let events;
+
+// A stopped timer with the given time left, so nothing depends on the wall clock
+const resetTimer = (seconds, settings = {}) => {
+  timerManager.halt();
+  timerManager.timerState.settings = { ...defaultSettings, ...settings };
+  timerManager.setRemainingMs(seconds * 1000);
+  timerManager.setElapsedMs(0);
+};
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  broadcasts = [];
+  events = [];
+  timerManager.setBroadcastCallback((data) => broadcasts.push(data));
+  timerManager.setEventLogCallback((event) => {
+    events.push(event);
+    return event;
+  });
+  resetTimer(3600);
+});
+
+afterEach(() => {
+  timerManager.halt();
+  mock.restoreAll();
+});
+
+const typesOf = (messages) => messages.map((message) => message.type);
+
+describe("remaining time", () => {
+  it("rounds partial seconds up", () => {
+    timerManager.setRemainingMs(1500);
+    assert.equal(timerManager.getTimeRemaining(), 2);
+  });
+
+  it("shows at most maxTimerSeconds and banks the rest", () => {
+    resetTimer(5000, { maxTimerSeconds: 3600 });
+    assert.equal(timerManager.getTimeRemaining(), 3600);
+    assert.equal(timerManager.getBankedSeconds(), 1400);
+    assert.equal(timerManager.getTotalRemainingMs(), 5000 * 1000);
+  });
+
+  it("banks nothing without a cap", () => {
+    resetTimer(5000);
+    assert.equal(timerManager.getTimeRemaining(), 5000);
+    assert.equal(timerManager.getBankedSeconds(), 0);
+  });
+
+  it("never goes below zero", () => {
+    timerManager.setRemainingMs(-5000);
+    assert.equal(timerManager.getTimeRemaining(), 0);
+  });
+});
+
+describe("addTime", () => {
+  it("adds time and records the event", () => {
+    const event = timerManager.addTime(120, { username: "viewer", tierName: "Tier 1" });
+
+    assert.equal(timerManager.getTimeRemaining(), 3720);
+    assert.deepEqual(typesOf(broadcasts), ["time_added", "timer_sync"]);
+    assert.equal(broadcasts[0].addedTime, 120);
+    assert.equal(broadcasts[0].previousTime, 3600);
+    assert.equal(event.source, "twitch");
+    assert.equal(event.seconds, 120);
+  });
+
+  it("banks what goes over the cap", () => {
+    resetTimer(3500, { maxTimerSeconds: 3600 });
+    timerManager.addTime(300);
+
+    assert.equal(timerManager.getTimeRemaining(), 3600);
+    assert.equal(timerManager.getBankedSeconds(), 200);
+    assert.equal(broadcasts[0].bankedTime, 200);
+    assert.ok(typesOf(broadcasts).includes("bank_update"));
+  });
+
+  it("drops time past the subathon length limit", () => {
+    resetTimer(2500, { maxSubathonSeconds: 4000 });
+    timerManager.setElapsedMs(1000 * 1000);
+    const event = timerManager.addTime(600);
+
+    assert.equal(timerManager.getTimeRemaining(), 3000);
+    assert.equal(broadcasts[0].addedTime, 500);
+    assert.equal(broadcasts[0].discardedTime, 100);
+    assert.equal(event.seconds, 500);
+    assert.equal(event.details.requestedTime, 600);
+  });
+
+  it("ignores invalid amounts", () => {
+    assert.equal(timerManager.addTime(0), null);
+    assert.equal(timerManager.addTime(-10), null);
+    assert.equal(timerManager.addTime("60"), null);
+    assert.equal(timerManager.getTimeRemaining(), 3600);
+    assert.equal(broadcasts.length, 0);
+    assert.equal(events.length, 0);
+  });
+
+  it("leaves the announcement to the caller when quiet", () => {
+    timerManager.addTime(60, null, "twitch", { quiet: true });
+
+    assert.equal(timerManager.getTimeRemaining(), 3660);
+    assert.equal(broadcasts.length, 0);
+    assert.equal(events.length, 1);
+  });
+});
+
+describe("start and stop", () => {
+  it("doesn't announce stopping a timer that wasn't running", () => {
+    timerManager.stop();
+    assert.equal(broadcasts.length, 0);
+  });
+
+  it("keeps the remaining time across a start and stop", () => {
+    timerManager.start();
+    assert.equal(timerManager.timerState.isActive, true);
+    assert.ok(timerManager.getTimeRemaining() <= 3600);
+
+    broadcasts = [];
+    timerManager.stop();
+    assert.equal(timerManager.timerState.isActive, false);
+    assert.deepEqual(typesOf(broadcasts), ["timer_stopped", "timer_sync"]);
+    assert.ok(timerManager.getTimeRemaining() >= 3599);
+  });
+
+  it("resets the subathon length along with the time", () => {
+    timerManager.setElapsedMs(5000 * 1000);
+    timerManager.reset(1800);
+
+    assert.equal(timerManager.getTimeRemaining(), 1800);
+    assert.equal(timerManager.getElapsedMs(), 0);
+    assert.equal(events[0].type, "timer_reset");
+    assert.equal(events[0].seconds, -1800);
+  });
+});